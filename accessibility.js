@@ -0,0 +1,237 @@
+// Liquidity Rush accessibility
+// Color palettes for the bands and cells (including high-contrast and colorblind-safe ones),
+// and an announcer that turns engine events into text for an ARIA live region, since
+// everything else about the game is only painted on the canvas.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'), require('./pieces.js'));
+    } else {
+        root.LiquidityAccessibility = factory(root.LiquidityEngine, root.LiquidityPieces);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Engine, Pieces) {
+    'use strict';
+
+    const EVENTS = Engine.EVENTS;
+
+    // Band colors are 'r, g, b' so they can be drawn at any opacity.
+    // Cell symbols give inflow and outflow different marks as well as different colors,
+    // color names are what the instructions call them
+    const PALETTES = {
+        standard: {
+            label: 'Standard',
+            bands: { safe: '76, 175, 80', excessCash: '255, 152, 0', overdraft: '244, 67, 54' },
+            bandLineWidth: 3,
+            cells: {
+                inflow: {
+                    colorName: 'green',
+                    base: '#c9e7c5',
+                    mid: '#b5d9b0',
+                    dark: '#87c87a',
+                    border: '#5a8a4f',
+                    texture: 'rgba(90, 138, 79, 0.3)',
+                    sign: 'rgba(90, 138, 79, 0.4)',
+                    symbol: '$'
+                },
+                outflow: {
+                    colorName: 'red',
+                    base: '#f3c9c5',
+                    mid: '#e6aca6',
+                    dark: '#d9827a',
+                    border: '#9a4a42',
+                    texture: 'rgba(154, 74, 66, 0.3)',
+                    sign: 'rgba(154, 74, 66, 0.5)',
+                    symbol: '$'
+                },
+                garbage: {
+                    colorName: 'grey',
+                    base: '#b0b3bd',
+                    mid: '#9a9ea8',
+                    dark: '#7c808a',
+                    border: '#4f525a',
+                    texture: 'rgba(79, 82, 90, 0.3)',
+                    sign: 'rgba(79, 82, 90, 0.4)',
+                    symbol: '$'
+                }
+            }
+        },
+        highContrast: {
+            label: 'High contrast',
+            bands: { safe: '255, 255, 255', excessCash: '255, 235, 0', overdraft: '255, 40, 40' },
+            bandLineWidth: 5,
+            cells: {
+                inflow: {
+                    colorName: 'green',
+                    base: '#00e060',
+                    mid: '#00e060',
+                    dark: '#00b050',
+                    border: '#ffffff',
+                    texture: 'rgba(0, 0, 0, 0)',
+                    sign: '#000000',
+                    symbol: '+'
+                },
+                outflow: {
+                    colorName: 'red',
+                    base: '#ff3030',
+                    mid: '#ff3030',
+                    dark: '#d00000',
+                    border: '#ffffff',
+                    texture: 'rgba(0, 0, 0, 0)',
+                    sign: '#ffffff',
+                    symbol: '−'
+                },
+                garbage: {
+                    colorName: 'grey',
+                    base: '#808080',
+                    mid: '#808080',
+                    dark: '#606060',
+                    border: '#ffffff',
+                    texture: 'rgba(0, 0, 0, 0)',
+                    sign: '#ffffff',
+                    symbol: '×'
+                }
+            }
+        },
+        // Blue and orange from the Okabe-Ito palette, told apart with any color vision
+        colorblind: {
+            label: 'Colorblind safe',
+            bands: { safe: '86, 180, 233', excessCash: '240, 228, 66', overdraft: '213, 94, 0' },
+            bandLineWidth: 3,
+            cells: {
+                inflow: {
+                    colorName: 'blue',
+                    base: '#9ccbe8',
+                    mid: '#5fa8d8',
+                    dark: '#0072b2',
+                    border: '#004b75',
+                    texture: 'rgba(0, 75, 117, 0.3)',
+                    sign: 'rgba(0, 40, 70, 0.7)',
+                    symbol: '+'
+                },
+                outflow: {
+                    colorName: 'orange',
+                    base: '#f7cf80',
+                    mid: '#eeb640',
+                    dark: '#e69f00',
+                    border: '#8a5f00',
+                    texture: 'rgba(138, 95, 0, 0.3)',
+                    sign: 'rgba(80, 50, 0, 0.7)',
+                    symbol: '−'
+                },
+                garbage: {
+                    colorName: 'grey',
+                    base: '#b0b3bd',
+                    mid: '#9a9ea8',
+                    dark: '#7c808a',
+                    border: '#4f525a',
+                    texture: 'rgba(79, 82, 90, 0.3)',
+                    sign: 'rgba(40, 40, 45, 0.7)',
+                    symbol: '×'
+                }
+            }
+        }
+    };
+    const DEFAULT_PALETTE = 'standard';
+
+    // Spoken names for the shapes
+    const SHAPE_LABELS = {
+        single: 'single',
+        cornerBottomLeft: 'corner',
+        cornerBottomRight: 'corner',
+        cornerTopLeft: 'corner',
+        cornerTopRight: 'corner',
+        T: 'T',
+        square: 'square'
+    };
+
+    const WARNING_CAUSES = {
+        stack: 'the stack is outside the safe zone',
+        balance: 'the cash balance is outside the safe zone'
+    };
+
+    // The palette with a name, the standard one for names it doesn't know
+    function getPalette(name) {
+        return PALETTES[name] || PALETTES[DEFAULT_PALETTE];
+    }
+
+    // How a palette tells inflow bills from outflow bills, for the instructions
+    function describeCashColors(palette) {
+        const { inflow, outflow } = palette.cells;
+        const marked = inflow.symbol !== outflow.symbol;
+        const describe = (colors, type) => `${colors.colorName} ${type} bills${marked ? ` (${colors.symbol})` : ''}`;
+        const inflowText = describe(inflow, 'inflow');
+        return `${inflowText[0].toUpperCase()}${inflowText.slice(1)} add to your balance, ${describe(outflow, 'outflow')} take from it.`;
+    }
+
+    // Name of a piece's shape as it spawns (spawned pieces are never rotated)
+    function describeShape(shape) {
+        const key = JSON.stringify(shape);
+        const index = Pieces.BLOCK_SHAPES.findIndex(candidate => JSON.stringify(candidate) === key);
+        return index === -1 ? 'piece' : SHAPE_LABELS[Pieces.SHAPE_NAMES[index]];
+    }
+
+    function formatCash(amount) {
+        return `${amount < 0 ? 'minus ' : ''}$${Math.abs(amount).toLocaleString()}`;
+    }
+
+    // Create an announcer for a pair of ARIA live regions
+    // options.polite: element for routine news (role="status"), options.assertive: element for
+    // warnings and the end of the game (role="alert")
+    function createAnnouncer(options) {
+        const regions = { polite: options.polite, assertive: options.assertive };
+        let unsubscribers = [];
+
+        // Screen readers only read a region when its text changes, so a message that repeats
+        // the last one gets a trailing non-breaking space added or taken off
+        function announce(message, priority = 'polite') {
+            const region = regions[priority];
+            if (!region) return;
+            region.textContent = region.textContent === message ? `${message}\u00a0` : message;
+        }
+
+        // Announce the events of a new engine (and stop announcing the previous one)
+        function attach(engine) {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            unsubscribers = [
+                engine.on(EVENTS.PIECE_SPAWNED, event => {
+                    const source = event.fromHold ? 'From hold: ' : '';
+                    announce(`${source}${event.type} ${describeShape(event.shape)}, ${formatCash(event.amount)}, column ${event.x + 1}`);
+                }),
+                engine.on(EVENTS.ROWS_CLEARED, event => {
+                    const rows = event.count === 1 ? '1 row' : `${event.count} rows`;
+                    const combo = event.combo > 1 ? `, combo ${event.combo}` : '';
+                    announce(`Cleared ${rows}${combo}. ${event.rowsCleared} cleared in total`);
+                }),
+                engine.on(EVENTS.WARNING_STARTED, event => {
+                    announce(`Warning: ${WARNING_CAUSES[event.cause]}. ${Math.round(event.duration / 1000)} seconds to fix it`, 'assertive');
+                }),
+                engine.on(EVENTS.WARNING_CANCELLED, () => {
+                    announce('Warning over, back in the safe zone', 'assertive');
+                }),
+                engine.on(EVENTS.GAME_OVER, event => {
+                    const heading = event.won ? 'Level complete' : 'Game over';
+                    announce(`${heading}: ${event.reason} Score ${event.score.toLocaleString()}`, 'assertive');
+                })
+            ];
+        }
+
+        function detach() {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            unsubscribers = [];
+        }
+
+        return {
+            announce: announce,
+            attach: attach,
+            detach: detach
+        };
+    }
+
+    return {
+        PALETTES: PALETTES,
+        DEFAULT_PALETTE: DEFAULT_PALETTE,
+        getPalette: getPalette,
+        describeCashColors: describeCashColors,
+        describeShape: describeShape,
+        createAnnouncer: createAnnouncer
+    };
+});
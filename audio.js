@@ -0,0 +1,297 @@
+// Liquidity Rush audio
+// Sound effects and a background loop synthesized with the Web Audio API, so there are no
+// sound files to load. Effects follow the engine events (see events.js); the loop and the
+// warning countdown beeps follow the state passed to update() every frame.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'), require('./storage.js'));
+    } else {
+        root.LiquidityAudio = factory(root.LiquidityEngine, root.LiquidityStorage);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Engine, Storage) {
+    'use strict';
+
+    const EVENTS = Engine.EVENTS;
+    const ACTIONS = Engine.ACTIONS;
+    const CELL_SIZE = Engine.CELL_SIZE;
+
+    const SETTINGS_KEY = 'liquidityRush.audioSettings';
+    const DEFAULT_SETTINGS = { volume: 0.6, muted: false };
+
+    const COUNTDOWN_SECONDS = 3; // the warning beeps once a second for its last seconds
+    const MIN_TEMPO = 96; // beats per minute of the loop while the stack is well inside the safe zone
+    const MAX_TEMPO = 168; // and while it's at a line or the warning is running
+    const TENSION_ROWS = 4; // the loop starts speeding up this many rows from a line
+    const MUSIC_LEVEL = 0.25; // peak gain of a loop note (effects use 0.06 to 0.4)
+    const SCHEDULE_AHEAD = 0.1; // seconds of the loop scheduled in advance
+
+    // Bass line in semitones above A2, one note per eighth
+    const MUSIC_PATTERN = [0, 12, 7, 12, 3, 12, 7, 10];
+    const MUSIC_ROOT = 110;
+
+    // How close the stack is to leaving the safe zone, from 0 (nowhere near) to 1 (outside, or warning)
+    function getTension(state) {
+        if (state.warningRemaining !== null) return 1;
+        const top = state.topBlockY;
+        if (top === null || top < state.bands.excessCashY || top > state.bands.overdraftY) return 0;
+
+        const rows = Math.min(top - state.bands.excessCashY, state.bands.overdraftY - top) / CELL_SIZE;
+        return Math.max(0, 1 - rows / TENSION_ROWS);
+    }
+
+    // Tempo of the loop for a state, in beats per minute
+    function getMusicTempo(state) {
+        return MIN_TEMPO + (MAX_TEMPO - MIN_TEMPO) * getTension(state);
+    }
+
+    function semitones(frequency, steps) {
+        return frequency * Math.pow(2, steps / 12);
+    }
+
+    // Create the audio player
+    // options.storage: Storage the volume and mute settings are kept in (localStorage in the browser)
+    // options.createContext: returns a new AudioContext, null if there's no Web Audio
+    function createAudioPlayer(options = {}) {
+        const storage = options.storage || null;
+        const createContext = options.createContext || (() => {
+            const AudioContext = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+            return AudioContext ? new AudioContext() : null;
+        });
+        let settings = loadSettings();
+        let context = null;
+        let master = null;
+        let noise = null;
+        let unsubscribers = [];
+        let nextNoteTime = null; // context time of the next loop note, null while the loop is stopped
+        let nextNote = 0;
+        let lastCountdownSecond = null;
+
+        function loadSettings() {
+            const saved = Storage.readJson(storage, SETTINGS_KEY);
+            return {
+                volume: saved && typeof saved.volume === 'number' ? Math.min(1, Math.max(0, saved.volume)) : DEFAULT_SETTINGS.volume,
+                muted: saved && typeof saved.muted === 'boolean' ? saved.muted : DEFAULT_SETTINGS.muted
+            };
+        }
+
+        function saveSettings() {
+            if (storage) {
+                storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+            }
+            if (master) {
+                master.gain.value = settings.muted ? 0 : settings.volume;
+            }
+        }
+
+        // Browsers only let audio start after the player has done something, so call this from
+        // a click or key handler. Returns false if there's no Web Audio
+        function resume() {
+            if (!context) {
+                context = createContext();
+                if (!context) return false;
+                master = context.createGain();
+                master.gain.value = settings.muted ? 0 : settings.volume;
+                master.connect(context.destination);
+            }
+            if (context.state === 'suspended') {
+                context.resume();
+            }
+            return true;
+        }
+
+        // A tone sliding from one frequency to another with a quick attack and exponential decay
+        function playTone(frequency, options = {}) {
+            if (!context || settings.muted) return;
+            const start = options.at !== undefined ? options.at : context.currentTime;
+            const duration = options.duration || 0.1;
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+
+            oscillator.type = options.wave || 'square';
+            oscillator.frequency.setValueAtTime(frequency, start);
+            if (options.endFrequency) {
+                oscillator.frequency.exponentialRampToValueAtTime(options.endFrequency, start + duration);
+            }
+            gain.gain.setValueAtTime(0.0001, start);
+            gain.gain.exponentialRampToValueAtTime(options.level || 0.2, start + 0.005);
+            gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+            oscillator.connect(gain);
+            gain.connect(master);
+            oscillator.start(start);
+            oscillator.stop(start + duration + 0.01);
+        }
+
+        // A burst of low-passed noise, for thuds
+        function playNoise(duration, cutoff, level) {
+            if (!context || settings.muted) return;
+            if (!noise) {
+                noise = context.createBuffer(1, context.sampleRate, context.sampleRate);
+                const samples = noise.getChannelData(0);
+                for (let i = 0; i < samples.length; i++) {
+                    samples[i] = Math.random() * 2 - 1;
+                }
+            }
+            const start = context.currentTime;
+            const source = context.createBufferSource();
+            const filter = context.createBiquadFilter();
+            const gain = context.createGain();
+
+            source.buffer = noise;
+            filter.type = 'lowpass';
+            filter.frequency.value = cutoff;
+            gain.gain.setValueAtTime(level, start);
+            gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+            source.connect(filter);
+            filter.connect(gain);
+            gain.connect(master);
+            source.start(start);
+            source.stop(start + duration);
+        }
+
+        const effects = {
+            move() {
+                playTone(660, { duration: 0.03, level: 0.06 });
+            },
+            rotate() {
+                playTone(520, { endFrequency: 880, duration: 0.06, wave: 'triangle', level: 0.12 });
+            },
+            lock() {
+                playNoise(0.12, 600, 0.4);
+                playTone(140, { endFrequency: 70, duration: 0.1, wave: 'sine', level: 0.3 });
+            },
+            // A rising arpeggio, one note more for each extra row and step of the combo
+            clear(count, combo) {
+                const notes = Math.min(8, count + combo + 1);
+                for (let i = 0; i < notes; i++) {
+                    playTone(semitones(523.25, [0, 4, 7, 12][i % 4] + 12 * Math.floor(i / 4)), {
+                        at: context && context.currentTime + i * 0.06,
+                        duration: 0.15,
+                        wave: 'triangle',
+                        level: 0.18
+                    });
+                }
+            },
+            warning() {
+                playTone(440, { endFrequency: 220, duration: 0.3, wave: 'sawtooth', level: 0.15 });
+            },
+            // Higher for the last second
+            countdown(seconds) {
+                playTone(seconds <= 1 ? 1320 : 880, { duration: 0.12, level: 0.2 });
+            },
+            gameOver(won) {
+                const steps = won ? [0, 4, 7, 12] : [7, 3, 0, -5];
+                steps.forEach((step, i) => {
+                    playTone(semitones(392, step), {
+                        at: context && context.currentTime + i * 0.12,
+                        duration: 0.25,
+                        wave: 'triangle',
+                        level: 0.2
+                    });
+                });
+            }
+        };
+
+        // Play the effects for a new engine's events (and stop playing the previous one's)
+        function attach(engine) {
+            detach();
+            unsubscribers = [
+                engine.on(EVENTS.PIECE_MOVED, event => {
+                    if (event.action === ACTIONS.ROTATE || event.action === ACTIONS.ROTATE_CCW) {
+                        effects.rotate();
+                    } else {
+                        effects.move();
+                    }
+                }),
+                engine.on(EVENTS.PIECE_LOCKED, () => effects.lock()),
+                engine.on(EVENTS.ROWS_CLEARED, event => effects.clear(event.count, event.combo)),
+                engine.on(EVENTS.WARNING_STARTED, () => effects.warning()),
+                engine.on(EVENTS.GAME_OVER, event => {
+                    stopMusic();
+                    effects.gameOver(event.won);
+                })
+            ];
+        }
+
+        function detach() {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            unsubscribers = [];
+            stopMusic();
+        }
+
+        // Schedule the loop's notes for the next moment, at the tempo for the state
+        function scheduleMusic(state) {
+            if (nextNoteTime === null || nextNoteTime < context.currentTime) {
+                nextNoteTime = context.currentTime + 0.05;
+            }
+            const noteLength = 60 / getMusicTempo(state) / 2;
+            while (nextNoteTime < context.currentTime + SCHEDULE_AHEAD) {
+                playTone(semitones(MUSIC_ROOT, MUSIC_PATTERN[nextNote]), {
+                    at: nextNoteTime,
+                    duration: noteLength * 0.9,
+                    wave: 'triangle',
+                    level: MUSIC_LEVEL
+                });
+                nextNote = (nextNote + 1) % MUSIC_PATTERN.length;
+                nextNoteTime += noteLength;
+            }
+        }
+
+        function stopMusic() {
+            nextNoteTime = null;
+            nextNote = 0;
+            lastCountdownSecond = null;
+        }
+
+        // Call every frame with the engine state: keeps the loop going and beeps the countdown.
+        // The loop stops while the game is paused or over, or update() isn't being called
+        function update(state) {
+            if (!context || state.gameOver || state.paused) {
+                stopMusic();
+                return;
+            }
+            scheduleMusic(state);
+
+            const seconds = state.warningRemaining === null ? null : Math.ceil(state.warningRemaining / 1000);
+            if (seconds !== null && seconds <= COUNTDOWN_SECONDS && seconds > 0 && seconds !== lastCountdownSecond) {
+                effects.countdown(seconds);
+            }
+            lastCountdownSecond = seconds;
+        }
+
+        function getSettings() {
+            return Object.assign({}, settings);
+        }
+
+        // Volume from 0 to 1, saved
+        function setVolume(volume) {
+            settings.volume = Math.min(1, Math.max(0, Number(volume) || 0));
+            saveSettings();
+        }
+
+        // Saved
+        function setMuted(muted) {
+            settings.muted = Boolean(muted);
+            saveSettings();
+        }
+
+        return {
+            resume: resume,
+            attach: attach,
+            detach: detach,
+            update: update,
+            getSettings: getSettings,
+            setVolume: setVolume,
+            setMuted: setMuted
+        };
+    }
+
+    return {
+        SETTINGS_KEY: SETTINGS_KEY,
+        DEFAULT_SETTINGS: DEFAULT_SETTINGS,
+        getTension: getTension,
+        getMusicTempo: getMusicTempo,
+        createAudioPlayer: createAudioPlayer
+    };
+});
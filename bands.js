@@ -0,0 +1,142 @@
+// Liquidity Rush band scenarios
+// Scripts for moving the excess cash and overdraft lines during a game, the way liquidity
+// targets move with the business cycle. A scenario hands out band moves one at a time,
+// each at a game time, so the engine can warn about a move before it happens.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LiquidityBands = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_BAND_SCENARIO = 'static';
+
+    // How long before a move the player is warned (milliseconds of game time)
+    const BAND_MOVE_WARNING = 3000;
+
+    // The safe zone never gets narrower than this many rows
+    const MIN_SAFE_ROWS = 2;
+
+    // Steps in a row that can leave the lines where they are before a scenario counts as finished
+    const MAX_IDLE_STEPS = 100;
+
+    // Month-end squeeze: both lines close in for the last part of every month
+    const MONTH_DURATION = 60000;
+    const SQUEEZE_START = 45000; // time into the month the squeeze begins
+    const SQUEEZE_SHARE = 0.1; // rows each line moves in, as a share of the board height
+
+    // Seasonal peak: both lines rise and fall together over a season, a step at a time
+    const SEASON_DURATION = 120000;
+    const SEASON_STEP = 5000;
+    const SEASON_SHARE = 0.15; // furthest the lines move, as a share of the board height
+
+    // Random walk: each line drifts a row up or down (or stays) at every step
+    const RANDOM_WALK_STEP = 8000;
+    const RANDOM_WALK_SHARE = 0.2; // furthest a line drifts from where it started
+
+    // Keep both lines on the board with a safe zone of at least MIN_SAFE_ROWS between them
+    function clampBands(excessCashRow, overdraftRow, rows) {
+        const excess = Math.max(1, Math.min(rows - 1 - MIN_SAFE_ROWS, excessCashRow));
+        const overdraft = Math.max(excess + MIN_SAFE_ROWS, Math.min(rows - 1, overdraftRow));
+        return { excessCashRow: excess, overdraftRow: overdraft };
+    }
+
+    // Rows a line can move for a share of the board height, at least one
+    function shareToRows(share, rows) {
+        return Math.max(1, Math.round(rows * share));
+    }
+
+    // Scenarios: each takes the starting rows, board height and a PRNG and returns a
+    // function that gives the band rows for the next step as { time, excessCashRow, overdraftRow }
+    const BAND_SCENARIOS = {
+        // Lines stay where the board put them
+        static: function () {
+            return null;
+        },
+        monthEnd: function (start, rows) {
+            const squeeze = shareToRows(SQUEEZE_SHARE, rows);
+            let month = 0;
+            let squeezed = false;
+            return function () {
+                squeezed = !squeezed;
+                if (squeezed) {
+                    return Object.assign({ time: month * MONTH_DURATION + SQUEEZE_START },
+                        clampBands(start.excessCashRow + squeeze, start.overdraftRow - squeeze, rows));
+                }
+                month++;
+                return Object.assign({ time: month * MONTH_DURATION }, start);
+            };
+        },
+        seasonal: function (start, rows) {
+            const amplitude = shareToRows(SEASON_SHARE, rows);
+            let step = 0;
+            return function () {
+                step++;
+                const time = step * SEASON_STEP;
+                const offset = -Math.round(amplitude * Math.sin(2 * Math.PI * time / SEASON_DURATION));
+                return Object.assign({ time: time },
+                    clampBands(start.excessCashRow + offset, start.overdraftRow + offset, rows));
+            };
+        },
+        randomWalk: function (start, rows, random) {
+            const maxDrift = shareToRows(RANDOM_WALK_SHARE, rows);
+            let current = Object.assign({}, start);
+            let step = 0;
+            const drift = (row, startRow) => {
+                const moved = row + Math.floor(random() * 3) - 1;
+                return Math.max(startRow - maxDrift, Math.min(startRow + maxDrift, moved));
+            };
+            return function () {
+                step++;
+                current = clampBands(drift(current.excessCashRow, start.excessCashRow),
+                    drift(current.overdraftRow, start.overdraftRow), rows);
+                return Object.assign({ time: step * RANDOM_WALK_STEP }, current);
+            };
+        }
+    };
+
+    // Create a band scenario
+    // options.scenario: key of BAND_SCENARIOS (defaults to 'static')
+    // options.excessCashRow / options.overdraftRow: where the lines start
+    // options.rows: board height in rows
+    // options.random: PRNG for scenarios that need one
+    // nextMove() returns the next move that changes a line, or null if the lines never move again
+    function createBandScenario(options) {
+        const name = options.scenario || DEFAULT_BAND_SCENARIO;
+        const createSteps = BAND_SCENARIOS[name];
+        if (!createSteps) {
+            throw new Error(`Unknown band scenario: ${name}`);
+        }
+        const start = { excessCashRow: options.excessCashRow, overdraftRow: options.overdraftRow };
+        const nextStep = createSteps(start, options.rows, options.random);
+        let current = start;
+
+        function nextMove() {
+            if (!nextStep) return null;
+
+            // Steps that leave both lines where they are aren't moves
+            for (let i = 0; i < MAX_IDLE_STEPS; i++) {
+                const step = nextStep();
+                if (step.excessCashRow !== current.excessCashRow || step.overdraftRow !== current.overdraftRow) {
+                    current = step;
+                    return step;
+                }
+            }
+            return null;
+        }
+
+        return {
+            scenario: name,
+            nextMove: nextMove
+        };
+    }
+
+    return {
+        DEFAULT_BAND_SCENARIO: DEFAULT_BAND_SCENARIO,
+        BAND_MOVE_WARNING: BAND_MOVE_WARNING,
+        BAND_SCENARIOS: BAND_SCENARIOS,
+        createBandScenario: createBandScenario
+    };
+});
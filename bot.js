@@ -0,0 +1,287 @@
+// Liquidity Rush bot
+// Plays the current piece by trying every rotation and column it can reach (with the engine's
+// own collision and wall kick rules) and scoring the board each placement leaves behind.
+// Used for the autoplay demo, the hint overlay and as a benchmark opponent:
+//
+//     node -e "console.log(require('./bot.js').runBenchmark({ seed: 1 }))"
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'));
+    } else {
+        root.LiquidityBot = factory(root.LiquidityEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Engine) {
+    'use strict';
+
+    const ACTIONS = Engine.ACTIONS;
+    const CELL_SIZE = Engine.CELL_SIZE;
+
+    // How much each board feature counts towards a placement's score (higher scores win)
+    const DEFAULT_WEIGHTS = {
+        completedRows: 2, // rows the placement completes
+        holes: -3, // empty cells with a filled cell somewhere above them
+        bumpiness: -0.5, // sum of height differences between neighbouring columns
+        bandDistance: -1 // rows between the top of the stack and the band between the two lines
+    };
+
+    const DEFAULT_ACTION_DELAY = 120; // milliseconds between the bot's inputs in autoplay
+    const BENCHMARK_MAX_TIME = 600000; // milliseconds of game time before a benchmark stops
+
+    // Rotation inputs to try before moving sideways, every rotation a piece can reach
+    const ROTATION_SEQUENCES = [
+        [],
+        [ACTIONS.ROTATE],
+        [ACTIONS.ROTATE, ACTIONS.ROTATE],
+        [ACTIONS.ROTATE_CCW]
+    ];
+
+    // A Block in the same place as the state's current piece
+    function createBlock(state, piece = state.currentPiece) {
+        const block = new Engine.Block(piece.baseShape, piece.type, piece.x, piece.amount, piece.pivot, state.board);
+        block.row = piece.y / CELL_SIZE;
+        block.rotation = piece.rotation;
+        return block;
+    }
+
+    function copyBlock(block) {
+        const copy = new Engine.Block(block.shape, block.type, block.x, block.amount, block.pivot, block.board);
+        copy.row = block.row;
+        copy.rotation = block.rotation;
+        return copy;
+    }
+
+    // Filled cells as rows of booleans
+    function getCells(state) {
+        const cells = [];
+        for (let row = 0; row < state.board.rows; row++) {
+            cells[row] = [];
+            for (let col = 0; col < state.board.cols; col++) {
+                cells[row][col] = Boolean(state.stackedBlocks[row] && state.stackedBlocks[row][col]);
+            }
+        }
+        return cells;
+    }
+
+    // Board features after a block lands: { completedRows, holes, bumpiness, bandDistance }
+    // Completed rows are cleared first, the way the engine would
+    function getFeatures(state, cells, block) {
+        const board = state.board;
+        const shape = block.getRotatedShape();
+        const landed = cells.map(row => [...row]);
+        for (let row = 0; row < shape.length; row++) {
+            for (let col = 0; col < shape[row].length; col++) {
+                if (shape[row][col]) {
+                    landed[block.row + row][block.x + col] = true;
+                }
+            }
+        }
+
+        const remaining = landed.filter(row => !row.every(Boolean));
+        const completedRows = board.rows - remaining.length;
+        while (remaining.length < board.rows) {
+            remaining.unshift(new Array(board.cols).fill(false));
+        }
+
+        let holes = 0;
+        let stackTop = board.rows;
+        const heights = [];
+        for (let col = 0; col < board.cols; col++) {
+            let columnTop = board.rows;
+            for (let row = 0; row < board.rows; row++) {
+                if (remaining[row][col]) {
+                    if (columnTop === board.rows) columnTop = row;
+                } else if (columnTop < board.rows) {
+                    holes++;
+                }
+            }
+            heights.push(board.rows - columnTop);
+            stackTop = Math.min(stackTop, columnTop);
+        }
+
+        let bumpiness = 0;
+        for (let col = 1; col < heights.length; col++) {
+            bumpiness += Math.abs(heights[col] - heights[col - 1]);
+        }
+
+        // An empty board is as far below the band as the floor is
+        const excessCashRow = state.bands.excessCashY / CELL_SIZE;
+        const overdraftRow = state.bands.overdraftY / CELL_SIZE;
+        let bandDistance = 0;
+        if (stackTop < excessCashRow) {
+            bandDistance = excessCashRow - stackTop;
+        } else if (stackTop > overdraftRow) {
+            bandDistance = stackTop - overdraftRow;
+        }
+
+        return { completedRows: completedRows, holes: holes, bumpiness: bumpiness, bandDistance: bandDistance };
+    }
+
+    function scoreFeatures(features, weights) {
+        return Object.keys(weights).reduce((sum, key) => sum + weights[key] * features[key], 0);
+    }
+
+    // Every place the current piece can be dropped from where it is now
+    // Returns [{ x, y, rotation, shape, actions, features, score }], where actions are the engine
+    // inputs (rotations, then moves, then a hard drop) that put it there
+    function findPlacements(state, weights = DEFAULT_WEIGHTS) {
+        if (!state.currentPiece || state.gameOver) return [];
+
+        const stacked = Engine.Grid.fromStackedBlocks(state.stackedBlocks, state.board.cols, state.board.rows);
+        const cells = getCells(state);
+        const placements = [];
+        const seen = new Set();
+
+        ROTATION_SEQUENCES.forEach(rotations => {
+            const rotated = createBlock(state);
+            const direction = action => action === ACTIONS.ROTATE ? 1 : -1;
+            if (!rotations.every(action => rotated.rotate(stacked, direction(action)))) return;
+
+            [-1, 1].forEach(dx => {
+                const block = copyBlock(rotated);
+                const moves = [];
+                // The starting column is tried once, on the way left
+                do {
+                    const key = `${block.rotation}/${block.x}`;
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        const landed = copyBlock(block);
+                        while (!landed.checkCollision(stacked, 0, 1)) {
+                            landed.row++;
+                        }
+                        const features = getFeatures(state, cells, landed);
+                        placements.push({
+                            x: landed.x,
+                            y: landed.row * CELL_SIZE,
+                            rotation: landed.rotation,
+                            shape: landed.getRotatedShape(),
+                            actions: [...rotations, ...moves, ACTIONS.HARD_DROP],
+                            features: features,
+                            score: scoreFeatures(features, weights)
+                        });
+                    }
+                    moves.push(dx < 0 ? ACTIONS.MOVE_LEFT : ACTIONS.MOVE_RIGHT);
+                } while (block.move(stacked, dx));
+            });
+        });
+        return placements;
+    }
+
+    // The highest scoring placement (the first one found on a tie), null if there are none
+    function getBest(placements) {
+        return placements.reduce((best, placement) =>
+            best === null || placement.score > best.score ? placement : best, null);
+    }
+
+    // Where the bot would put the current piece, null if there's no piece
+    function findBestPlacement(state, weights = DEFAULT_WEIGHTS) {
+        return getBest(findPlacements(state, weights));
+    }
+
+    // Create a bot that plays one input at a time, for autoplay where each move should be seen
+    // Call nextAction(state, elapsed) every frame and apply the action it returns (if any)
+    // options.weights: feature weights (see DEFAULT_WEIGHTS)
+    // options.actionDelay: milliseconds between inputs
+    function createAutoplayer(options = {}) {
+        const weights = options.weights || DEFAULT_WEIGHTS;
+        const actionDelay = options.actionDelay !== undefined ? options.actionDelay : DEFAULT_ACTION_DELAY;
+        let target = null; // { blocksPlaced, x, rotation } of the placement being played
+        let waited = 0;
+
+        // Gravity can get in the way between inputs, so the route to the target is worked out
+        // again from the current state each time, choosing a new target if it can't be reached
+        function nextAction(state, elapsed = 0) {
+            if (!state.currentPiece || state.gameOver || state.paused) return null;
+            waited += elapsed;
+            if (waited < actionDelay) return null;
+            waited = 0;
+
+            const placements = findPlacements(state, weights);
+            let placement = target && target.blocksPlaced === state.blocksPlaced ?
+                placements.find(candidate => candidate.x === target.x && candidate.rotation === target.rotation) : null;
+            if (!placement) {
+                placement = getBest(placements);
+            }
+            if (!placement) return null;
+
+            target = { blocksPlaced: state.blocksPlaced, x: placement.x, rotation: placement.rotation };
+            return placement.actions[0];
+        }
+
+        function reset() {
+            target = null;
+            waited = 0;
+        }
+
+        return {
+            nextAction: nextAction,
+            reset: reset
+        };
+    }
+
+    // A benchmark game (see runBenchmark()) that plays a few ticks at a time, so a page can
+    // spread it over several frames. advance(ticks) plays up to that many ticks and returns
+    // whether the game is done, getResult() returns how it ended (null until then)
+    // Takes the same options as runBenchmark()
+    function createBenchmark(engineOptions = {}, options = {}) {
+        const engine = Engine.createEngine(Object.assign({ now: () => 0 }, engineOptions));
+        const autoplayer = createAutoplayer(options);
+        const maxTime = options.maxTime || BENCHMARK_MAX_TIME;
+        let state = engine.getState();
+
+        function isDone() {
+            return state.gameOver || state.time >= maxTime;
+        }
+
+        function advance(ticks = Infinity) {
+            for (let i = 0; i < ticks && !isDone(); i++) {
+                const action = autoplayer.nextAction(state, Engine.TICK_DURATION);
+                if (action) {
+                    engine.applyInput(action);
+                }
+                engine.step(Engine.TICK_DURATION);
+                state = engine.getState();
+            }
+            return isDone();
+        }
+
+        function getResult() {
+            if (!isDone()) return null;
+            return {
+                seed: state.seed,
+                time: state.time,
+                gameOver: state.gameOver,
+                won: state.won,
+                endReason: state.endReason,
+                score: state.score.total,
+                level: state.level,
+                blocksPlaced: state.blocksPlaced,
+                rowsCleared: state.rowsCleared
+            };
+        }
+
+        return {
+            advance: advance,
+            getResult: getResult
+        };
+    }
+
+    // Let the bot play a whole game headlessly, as a yardstick for how hard a set of engine
+    // options is. Returns how the game ended
+    // options.weights, options.actionDelay: as for createAutoplayer
+    // options.maxTime: milliseconds of game time to stop after if the game is still going
+    function runBenchmark(engineOptions = {}, options = {}) {
+        const benchmark = createBenchmark(engineOptions, options);
+        benchmark.advance();
+        return benchmark.getResult();
+    }
+
+    return {
+        DEFAULT_WEIGHTS: DEFAULT_WEIGHTS,
+        DEFAULT_ACTION_DELAY: DEFAULT_ACTION_DELAY,
+        findPlacements: findPlacements,
+        findBestPlacement: findBestPlacement,
+        createAutoplayer: createAutoplayer,
+        createBenchmark: createBenchmark,
+        runBenchmark: runBenchmark
+    };
+});
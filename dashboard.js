@@ -0,0 +1,191 @@
+// Liquidity Rush post-game dashboard charts
+// Draws telemetry (see telemetry.js) onto canvases: the stack height against the two
+// band lines with warning periods shaded, and the inflow/outflow ratio over time.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LiquidityDashboard = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Room around the plot for axis labels
+    const CHART_PADDING = { top: 16, right: 12, bottom: 26, left: 40 };
+
+    const CHART_COLORS = {
+        background: '#1a1a2e',
+        axis: 'rgba(255, 255, 255, 0.6)',
+        grid: 'rgba(255, 255, 255, 0.1)',
+        text: '#fff',
+        stack: '#4fc3f7',
+        excessCash: '#ff9800',
+        overdraft: '#f44336',
+        warning: 'rgba(244, 67, 54, 0.25)',
+        ratio: '#87c87a',
+        reference: 'rgba(255, 255, 255, 0.5)'
+    };
+
+    // Clear a canvas and work out where values go on it
+    // Returns { ctx, x(time), y(value), left, right, top, bottom }
+    function createChartArea(canvas, maxTime, maxValue) {
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = CHART_COLORS.background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const left = CHART_PADDING.left;
+        const right = canvas.width - CHART_PADDING.right;
+        const top = CHART_PADDING.top;
+        const bottom = canvas.height - CHART_PADDING.bottom;
+        return {
+            ctx: ctx,
+            left: left,
+            right: right,
+            top: top,
+            bottom: bottom,
+            x: time => left + (maxTime > 0 ? time / maxTime : 0) * (right - left),
+            y: value => bottom - (maxValue > 0 ? value / maxValue : 0) * (bottom - top)
+        };
+    }
+
+    // Axes with a few labelled ticks, time in seconds along the bottom
+    function drawAxes(area, maxTime, maxValue, formatValue) {
+        const ctx = area.ctx;
+        ctx.font = '11px sans-serif';
+        ctx.fillStyle = CHART_COLORS.text;
+        ctx.lineWidth = 1;
+
+        const ticks = 4;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i <= ticks; i++) {
+            const value = maxValue * i / ticks;
+            const y = area.y(value);
+            ctx.strokeStyle = CHART_COLORS.grid;
+            ctx.beginPath();
+            ctx.moveTo(area.left, y);
+            ctx.lineTo(area.right, y);
+            ctx.stroke();
+            ctx.fillText(formatValue(value), area.left - 6, y);
+        }
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let i = 0; i <= ticks; i++) {
+            const time = maxTime * i / ticks;
+            ctx.fillText(`${Math.round(time / 1000)}s`, area.x(time), area.bottom + 6);
+        }
+
+        ctx.strokeStyle = CHART_COLORS.axis;
+        ctx.beginPath();
+        ctx.moveTo(area.left, area.top);
+        ctx.lineTo(area.left, area.bottom);
+        ctx.lineTo(area.right, area.bottom);
+        ctx.stroke();
+    }
+
+    // Line through the samples, skipping samples with no value
+    // stepped: hold each value until the next sample (for band lines that jump)
+    function drawSeries(area, samples, getValue, color, stepped = false) {
+        const ctx = area.ctx;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        let drawing = false;
+        let lastY = 0;
+        samples.forEach(sample => {
+            const value = getValue(sample);
+            if (value === null) {
+                drawing = false;
+                return;
+            }
+            const x = area.x(sample.time);
+            const y = area.y(value);
+            if (!drawing) {
+                ctx.moveTo(x, y);
+                drawing = true;
+            } else {
+                if (stepped) ctx.lineTo(x, lastY);
+                ctx.lineTo(x, y);
+            }
+            lastY = y;
+        });
+        ctx.stroke();
+    }
+
+    // Small color key in the top right corner
+    function drawLegend(area, entries) {
+        const ctx = area.ctx;
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        let x = area.right;
+        for (let i = entries.length - 1; i >= 0; i--) {
+            const entry = entries[i];
+            ctx.fillStyle = CHART_COLORS.text;
+            ctx.fillText(entry.label, x, area.top - 8);
+            x -= ctx.measureText(entry.label).width + 4;
+            ctx.fillStyle = entry.color;
+            ctx.fillRect(x - 10, area.top - 11, 10, 6);
+            x -= 20;
+        }
+    }
+
+    function getMaxTime(data) {
+        const last = data.samples[data.samples.length - 1];
+        return last ? Math.max(last.time, 1000) : 1000;
+    }
+
+    // Stack height and the two band lines over time, in rows above the floor,
+    // with the time the warning timer was running shaded
+    function drawStackChart(canvas, data) {
+        const maxTime = getMaxTime(data);
+        const maxHeight = data.board ? data.board.rows : 20;
+        const area = createChartArea(canvas, maxTime, maxHeight);
+        const ctx = area.ctx;
+
+        ctx.fillStyle = CHART_COLORS.warning;
+        data.warnings.forEach(warning => {
+            const start = area.x(warning.start);
+            const end = area.x(warning.end !== null ? warning.end : maxTime);
+            ctx.fillRect(start, area.top, Math.max(1, end - start), area.bottom - area.top);
+        });
+
+        drawAxes(area, maxTime, maxHeight, value => String(Math.round(value)));
+        drawSeries(area, data.samples, sample => sample.excessCashHeight, CHART_COLORS.excessCash, true);
+        drawSeries(area, data.samples, sample => sample.overdraftHeight, CHART_COLORS.overdraft, true);
+        drawSeries(area, data.samples, sample => sample.stackHeight, CHART_COLORS.stack);
+        drawLegend(area, [
+            { label: 'Stack', color: CHART_COLORS.stack },
+            { label: 'Excess cash', color: CHART_COLORS.excessCash },
+            { label: 'Overdraft', color: CHART_COLORS.overdraft },
+            { label: 'Warning', color: CHART_COLORS.warning }
+        ]);
+    }
+
+    // Inflow pieces per outflow piece over time, with a line at an even 1:1 mix
+    function drawFlowChart(canvas, data) {
+        const maxTime = getMaxTime(data);
+        const ratios = data.samples.map(sample => sample.inflowOutflowRatio).filter(ratio => ratio !== null);
+        const maxRatio = Math.max(2, Math.ceil(Math.max(0, ...ratios)));
+        const area = createChartArea(canvas, maxTime, maxRatio);
+        const ctx = area.ctx;
+
+        drawAxes(area, maxTime, maxRatio, value => value.toFixed(1));
+        ctx.strokeStyle = CHART_COLORS.reference;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(area.left, area.y(1));
+        ctx.lineTo(area.right, area.y(1));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        drawSeries(area, data.samples, sample => sample.inflowOutflowRatio, CHART_COLORS.ratio);
+        drawLegend(area, [{ label: 'Inflow / outflow pieces', color: CHART_COLORS.ratio }]);
+    }
+
+    return {
+        drawStackChart: drawStackChart,
+        drawFlowChart: drawFlowChart
+    };
+});
@@ -0,0 +1,1208 @@
+// Liquidity Rush game engine
+// Holds all of the game rules and state with no DOM, canvas or wall-clock access,
+// so it runs the same in the browser and under Node. Time only moves when step() is called.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./pieces.js'), require('./bands.js'), require('./events.js'), require('./grid.js'));
+    } else {
+        root.LiquidityEngine = factory(root.LiquidityPieces, root.LiquidityBands, root.LiquidityEvents, root.LiquidityGrid);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Pieces, Bands, Events, GridModule) {
+    'use strict';
+
+    // Game constants (default board, see createBoardGeometry() for other sizes)
+    const BOARD_WIDTH = 300;
+    const BOARD_HEIGHT = 600;
+    const CELL_SIZE = 30;
+    const COLS = BOARD_WIDTH / CELL_SIZE;
+    const ROWS = BOARD_HEIGHT / CELL_SIZE;
+
+    // Two bands: overdraft (bottom) and excess cash (top)
+    const OVERDRAFT_LINE = 0.8; // 80% from top (20% from bottom)
+    const EXCESS_CASH_LINE = 0.2; // 20% from top
+    const OVERDRAFT_Y = BOARD_HEIGHT * OVERDRAFT_LINE;
+    const EXCESS_CASH_Y = BOARD_HEIGHT * EXCESS_CASH_LINE;
+
+    // Band scenarios get their own PRNG so moving bands don't change the piece sequence
+    const BAND_SEED_SALT = 0x9E3779B9;
+    // Garbage rows (versus mode) get one too, for the gaps in them
+    const GARBAGE_SEED_SALT = 0x85EBCA6B;
+    const GARBAGE_CELL_TYPE = 'garbage'; // cells pushed in by addGarbageRows(), neither inflow nor outflow
+
+    // Limits for custom boards
+    const MIN_COLS = 4; // the widest shape is 3 cells, leave room to slide it
+    const MAX_COLS = 30;
+    const MIN_ROWS = 8;
+    const MAX_ROWS = 40;
+
+    // Cash balance: inflow pieces add to it, outflow pieces take away from it
+    const STARTING_BALANCE = 1000;
+    const CASH_PER_CELL = 100; // each cell of a piece moves this much cash
+    const OVERDRAFT_BALANCE = 0; // balance below this counts as overdraft
+    const EXCESS_CASH_BALANCE = 3000; // balance above this counts as excess cash
+
+    // Timers (all in milliseconds of game time)
+    const WARNING_TIMER_DURATION = 20000; // 20 seconds
+    const CLEARING_ANIMATION_DURATION = 300;
+    const NORMAL_DROP_INTERVAL = 500;
+    const FAST_DROP_INTERVAL = 50; // while soft drop is held
+
+    // Levels: every level drops pieces faster, shortens the warning timer and makes
+    // inflow/outflow amounts bigger. What counts towards the next level is selectable.
+    const MAX_LEVEL = 15;
+    const LEVEL_UP_EVERY = {
+        time: 30000, // milliseconds survived
+        lines: 5, // rows cleared
+        blocks: 15 // blocks placed
+    };
+    const DEFAULT_LEVEL_BY = 'time';
+    const DROP_INTERVAL_FACTOR = 0.85; // drop interval multiplier per level
+    const MIN_DROP_INTERVAL = 80;
+    const WARNING_TIMER_STEP = 1000; // warning timer gets this much shorter per level
+    const MIN_WARNING_TIMER_DURATION = 8000;
+    const CASH_VOLATILITY_STEP = 0.25; // extra share of CASH_PER_CELL per level
+
+    // Scoring (all points are multiplied by the current level)
+    const LINE_CLEAR_POINTS = [0, 100, 300, 500, 800]; // by rows cleared at once
+    const EXTRA_ROW_POINTS = 300; // each row past the end of LINE_CLEAR_POINTS
+    const COMBO_POINTS = 50; // times the combo count, for each clear that follows another clear
+    const SAFE_ZONE_POINTS_PER_SECOND = 10; // while the stack top is between the two lines
+    const WARNING_PENALTY_PER_SECOND = 25; // taken off while the warning timer runs
+
+    // Lock delay: how long a landed piece can still be slid or rotated before it locks
+    const DEFAULT_LOCK_DELAY = 500;
+    const DEFAULT_MAX_LOCK_RESETS = 15; // moves/rotations that can restart the lock delay, per piece
+
+    // The engine advances in fixed ticks so a game plays out the same
+    // however the elapsed time is split across step() calls
+    const TICK_DURATION = 10;
+
+    // Number of upcoming pieces shown in the preview by default
+    const DEFAULT_PREVIEW_COUNT = 3;
+
+    // Inputs accepted by applyInput()
+    const ACTIONS = {
+        MOVE_LEFT: 'moveLeft',
+        MOVE_RIGHT: 'moveRight',
+        ROTATE: 'rotate',
+        ROTATE_CCW: 'rotateCCW',
+        SOFT_DROP_START: 'softDropStart',
+        SOFT_DROP_END: 'softDropEnd',
+        HARD_DROP: 'hardDrop',
+        HOLD: 'hold'
+    };
+
+    const EVENTS = Events.EVENTS;
+    const Grid = GridModule.Grid;
+
+    // Wall kicks: [columns, rows] offsets tried in order when a rotation is blocked.
+    // Negative rows lift the piece (floor kicks), the final [0, 1] lets a piece at the top
+    // of the board turn when its pivot would push it above the top. Counter-clockwise mirrors clockwise.
+    const WALL_KICKS = {
+        clockwise: [[0, 0], [-1, 0], [1, 0], [0, -1], [-1, -1], [1, -1], [-2, 0], [2, 0], [0, 1]],
+        counterClockwise: [[0, 0], [1, 0], [-1, 0], [0, -1], [1, -1], [-1, -1], [2, 0], [-2, 0], [0, 1]]
+    };
+
+    // Size of the board and position of the two bands, in cells and in pixels
+    // options.cols / options.rows: board size in cells (defaults to COLS x ROWS)
+    // options.overdraftLine / options.excessCashLine: band positions as a share of the height
+    // from the top, rounded to the nearest row so stack checks line up with whole cells
+    function createBoardGeometry(options = {}) {
+        const cols = options.cols !== undefined ? options.cols : COLS;
+        const rows = options.rows !== undefined ? options.rows : ROWS;
+        const overdraftLine = options.overdraftLine !== undefined ? options.overdraftLine : OVERDRAFT_LINE;
+        const excessCashLine = options.excessCashLine !== undefined ? options.excessCashLine : EXCESS_CASH_LINE;
+
+        if (!Number.isInteger(cols) || cols < MIN_COLS || cols > MAX_COLS) {
+            throw new Error(`Columns must be a whole number from ${MIN_COLS} to ${MAX_COLS}`);
+        }
+        if (!Number.isInteger(rows) || rows < MIN_ROWS || rows > MAX_ROWS) {
+            throw new Error(`Rows must be a whole number from ${MIN_ROWS} to ${MAX_ROWS}`);
+        }
+
+        const overdraftRow = Math.round(rows * overdraftLine);
+        const excessCashRow = Math.round(rows * excessCashLine);
+        if (!(excessCashRow >= 1 && overdraftRow <= rows - 1 && excessCashRow < overdraftRow)) {
+            throw new Error('The excess cash line must be above the overdraft line, with at least one row outside each');
+        }
+
+        return {
+            cols: cols,
+            rows: rows,
+            width: cols * CELL_SIZE,
+            height: rows * CELL_SIZE,
+            overdraftLine: overdraftLine,
+            excessCashLine: excessCashLine,
+            overdraftY: overdraftRow * CELL_SIZE,
+            excessCashY: excessCashRow * CELL_SIZE
+        };
+    }
+
+    const DEFAULT_BOARD = createBoardGeometry();
+
+    // Block class
+    class Block {
+        constructor(shape, type, x, amount, pivot = [0, 0], board = DEFAULT_BOARD) {
+            this.shape = shape;
+            this.pivot = pivot; // [row, col] the block rotates around (see SHAPE_PIVOTS)
+            this.type = type; // 'inflow' (green) or 'outflow' (red)
+            this.amount = amount; // Cash moved when the block is placed
+            this.board = board; // geometry of the board the block falls in
+            this.x = x; // Horizontal position (0 to board.cols - shape width)
+            this.spawnX = x; // Column the block spawns in, used again when it comes back out of hold
+            this.row = 0; // Vertical position, in rows from the top (pixel y is row * CELL_SIZE)
+            this.rotation = 0;
+        }
+
+        getWidth() {
+            return this.shape[0].length;
+        }
+
+        getHeight() {
+            return this.shape.length;
+        }
+
+        // Get rotated shape
+        getRotatedShape() {
+            return this.getRotatedShapeWithRotation(this.rotation);
+        }
+
+        getRotatedShapeWithRotation(rotation) {
+            let shape = this.shape;
+            for (let i = 0; i < rotation % 4; i++) {
+                shape = this.rotate90(shape);
+            }
+            return shape;
+        }
+
+        rotate90(matrix) {
+            const rows = matrix.length;
+            const cols = matrix[0].length;
+            const rotated = [];
+            for (let i = 0; i < cols; i++) {
+                rotated[i] = [];
+                for (let j = 0; j < rows; j++) {
+                    rotated[i][j] = matrix[rows - 1 - j][i];
+                }
+            }
+            return rotated;
+        }
+
+        // Check collision with walls or the stacked cells in a Grid (see grid.js), offsets in cells
+        checkCollision(grid, offsetX = 0, offsetRows = 0, newRotation = null) {
+            const shape = newRotation !== null ? this.getRotatedShapeWithRotation(newRotation) : this.getRotatedShape();
+            const newX = this.x + offsetX;
+            const newRow = this.row + offsetRows;
+
+            // Check walls (and the top of the board, which kicks can push against)
+            if (newX < 0 || newX + shape[0].length > this.board.cols || newRow < 0) {
+                return true;
+            }
+            if (newRow + shape.length > this.board.rows) {
+                return true;
+            }
+
+            // Check stacked blocks
+            return grid.overlaps(shape, newRow, newX);
+        }
+
+        // Move block, returns true if it moved
+        move(grid, dx) {
+            if (!this.checkCollision(grid, dx, 0)) {
+                this.x += dx;
+                return true;
+            }
+            return false;
+        }
+
+        // Offset in cells of the rotated shape's top-left corner from the unrotated one,
+        // chosen so the pivot stays on the same board cell
+        getRotationOffset(rotation) {
+            let [pivotRow, pivotCol] = this.pivot;
+            let height = this.getHeight();
+            for (let i = 0; i < rotation % 4; i++) {
+                // rotate90 moves cell (row, col) to (col, height - 1 - row)
+                [pivotRow, pivotCol] = [pivotCol, height - 1 - pivotRow];
+                height = i % 2 === 0 ? this.getWidth() : this.getHeight();
+            }
+            return {
+                x: Math.round(this.pivot[1] - pivotCol),
+                y: Math.round(this.pivot[0] - pivotRow)
+            };
+        }
+
+        // Rotate block around its pivot (direction 1 = clockwise, -1 = counter-clockwise),
+        // trying each wall kick before giving up. Returns true if it rotated
+        rotate(grid, direction = 1) {
+            const newRotation = (this.rotation + direction + 4) % 4;
+            const from = this.getRotationOffset(this.rotation);
+            const to = this.getRotationOffset(newRotation);
+            const kicks = direction > 0 ? WALL_KICKS.clockwise : WALL_KICKS.counterClockwise;
+
+            for (const [kickX, kickY] of kicks) {
+                const dx = to.x - from.x + kickX;
+                const dy = to.y - from.y + kickY;
+                if (!this.checkCollision(grid, dx, dy, newRotation)) {
+                    this.x += dx;
+                    this.row += dy;
+                    this.rotation = newRotation;
+                    return true;
+                }
+            }
+            return false;
+        }
+    }
+
+    // Gravity, warning timer and cash volatility for a level
+    // baseDropInterval: drop interval at level 1
+    function getLevelSettings(level, baseDropInterval = NORMAL_DROP_INTERVAL) {
+        return {
+            dropInterval: Math.max(MIN_DROP_INTERVAL, Math.round(baseDropInterval * Math.pow(DROP_INTERVAL_FACTOR, level - 1))),
+            warningTimerDuration: Math.max(MIN_WARNING_TIMER_DURATION, WARNING_TIMER_DURATION - WARNING_TIMER_STEP * (level - 1)),
+            cashPerCell: Math.round(CASH_PER_CELL * (1 + CASH_VOLATILITY_STEP * (level - 1)))
+        };
+    }
+
+    // Base points for clearing a number of rows at once
+    function getLineClearPoints(rows) {
+        const lastIndex = LINE_CLEAR_POINTS.length - 1;
+        if (rows <= lastIndex) return LINE_CLEAR_POINTS[rows];
+        return LINE_CLEAR_POINTS[lastIndex] + (rows - lastIndex) * EXTRA_ROW_POINTS;
+    }
+
+    // Count the filled cells of a shape
+    function countCells(shape) {
+        let count = 0;
+        for (let row = 0; row < shape.length; row++) {
+            for (let col = 0; col < shape[row].length; col++) {
+                if (shape[row][col]) {
+                    count++;
+                }
+            }
+        }
+        return count;
+    }
+
+    // Turn rows of text ('.' empty, 'I' inflow, 'O' outflow) into a Grid with them resting on the
+    // floor of the board, throws if they don't fit
+    function parseInitialBoard(rowStrings, board) {
+        if (!Array.isArray(rowStrings) || rowStrings.length >= board.rows) {
+            throw new Error(`The initial board must be a list of fewer than ${board.rows} rows`);
+        }
+        const cellTypes = { '.': null, ' ': null, I: 'inflow', i: 'inflow', O: 'outflow', o: 'outflow' };
+        const grid = new Grid(board.cols, board.rows);
+        const firstRow = board.rows - rowStrings.length;
+        rowStrings.forEach((text, index) => {
+            if (typeof text !== 'string' || text.length !== board.cols) {
+                throw new Error(`Initial board row ${index + 1} must be ${board.cols} cells wide`);
+            }
+            for (let col = 0; col < text.length; col++) {
+                if (!(text[col] in cellTypes)) {
+                    throw new Error(`Initial board row ${index + 1} has an unknown cell '${text[col]}'`);
+                }
+                if (cellTypes[text[col]]) {
+                    grid.setType(firstRow + index, col, cellTypes[text[col]]);
+                }
+            }
+        });
+        return grid;
+    }
+
+    // Create a game engine
+    // options.seed: seed for piece generation (defaults to 1)
+    // options.now: clock used by step() when no dt is passed, returns milliseconds
+    // options.randomizer: piece randomizer, 'bag' (default) or 'classic' (see pieces.js)
+    // options.previewCount: number of upcoming pieces reported by getState()
+    // options.gracePeriodBlocks: blocks that can be placed before the overdraft checks start
+    // options.useBalanceRules: apply the OVERDRAFT/EXCESS CASH rules to the balance as well as the stack height (off by default)
+    // options.levelBy: what levels up the game, 'time' (default), 'lines' or 'blocks'
+    // options.lockDelay: milliseconds a landed piece waits before locking
+    // options.maxLockResets: how many moves/rotations per piece can restart the lock delay
+    // options.cols / options.rows / options.overdraftLine / options.excessCashLine: board geometry (see createBoardGeometry())
+    // options.bandScenario: how the two lines move during the game, 'static' (default), 'monthEnd', 'seasonal' or 'randomWalk' (see bands.js)
+    // options.pieceScript / options.loopPieceScript: pieces to play first, and whether to repeat them (see pieces.js)
+    // options.shapeWeights / options.inflowShare: odds for random shapes and cash flow types (see pieces.js)
+    // options.initialBoard: rows of text the game starts with at the bottom of the board (see parseInitialBoard())
+    // options.dropInterval: milliseconds between drops at level 1
+    // options.startingBalance: cash balance at the start
+    // options.winConditions: { surviveTime (milliseconds), clearRows } - the game is won when any one is reached
+    function createEngine(options = {}) {
+        const seed = options.seed !== undefined ? options.seed >>> 0 : 1;
+        const now = options.now || (() => 0);
+        const board = createBoardGeometry(options);
+        const pieceGenerator = Pieces.createPieceGenerator({
+            seed: seed,
+            randomizer: options.randomizer,
+            weights: options.shapeWeights,
+            inflowShare: options.inflowShare,
+            script: options.pieceScript,
+            loopScript: options.loopPieceScript,
+            cols: board.cols
+        });
+        const bandScenario = Bands.createBandScenario({
+            scenario: options.bandScenario,
+            excessCashRow: board.excessCashY / CELL_SIZE,
+            overdraftRow: board.overdraftY / CELL_SIZE,
+            rows: board.rows,
+            random: Pieces.createRandom((seed ^ BAND_SEED_SALT) >>> 0)
+        });
+        const previewCount = options.previewCount !== undefined ? options.previewCount : DEFAULT_PREVIEW_COUNT;
+
+        // Grace period: number of blocks that can be placed before checking overdraft
+        const gracePeriodBlocks = options.gracePeriodBlocks !== undefined ? options.gracePeriodBlocks : 5;
+        const useBalanceRules = Boolean(options.useBalanceRules);
+        const levelBy = options.levelBy || DEFAULT_LEVEL_BY;
+        if (!LEVEL_UP_EVERY[levelBy]) {
+            throw new Error(`Unknown level progression: ${levelBy}`);
+        }
+        const lockDelay = options.lockDelay !== undefined ? options.lockDelay : DEFAULT_LOCK_DELAY;
+        const maxLockResets = options.maxLockResets !== undefined ? options.maxLockResets : DEFAULT_MAX_LOCK_RESETS;
+        const baseDropInterval = options.dropInterval !== undefined ? options.dropInterval : NORMAL_DROP_INTERVAL;
+        const winConditions = options.winConditions || {};
+
+        // Listeners added with on(), see events.js for the events and their data
+        const emitter = Events.createEventEmitter();
+        let started = false; // gameStarted is emitted by the first step()
+
+        // Game state
+        let time = 0; // game time in milliseconds
+        let ticks = 0;
+        let accumulator = 0; // time passed to step() that hasn't made up a full tick yet
+        let lastNow = now();
+        let gameOver = false;
+        let paused = false;
+        let endReason = null;
+        let won = false;
+        let grid = options.initialBoard ? parseInitialBoard(options.initialBoard, board) : new Grid(board.cols, board.rows);
+        let stackVersion = 0; // goes up whenever the stacked cells change, so renderers can cache the stack
+        let stackedBlocks = null; // { version, rows } reported by getState() until the stack changes
+        let currentPiece = null;
+        let blocksPlaced = 0;
+        let rowsCleared = 0;
+        let balance = options.startingBalance !== undefined ? options.startingBalance : STARTING_BALANCE;
+        let level = 1;
+        let levelSettings = getLevelSettings(level, baseDropInterval);
+
+        // Score state
+        let combo = 0; // consecutive locks that cleared rows
+        const score = {
+            lineClears: 0,
+            combos: 0,
+            safeZone: 0,
+            warningPenalty: 0 // stored as a positive number of points lost
+        };
+        let dropTime = 0;
+        let softDrop = false;
+        let lockTime = 0; // how long the current piece has been resting on the stack or floor
+        let lockResets = 0; // lock delay restarts used by the current piece
+        let heldPiece = null; // Block set aside with the hold action
+        let canHold = true; // Hold can only be used once per piece, until it locks
+
+        // Timer state
+        let warningTimer = null; // null means no timer active, otherwise it's the end time
+        let warningCause = null; // 'stack' or 'balance' - what started the current warning timer
+        let hasSolidLayerAboveOverdraft = false;
+        let hasTopBlockBeenInSafeZone = false; // Track if top block has been in safe zone (between the two lines) at rest
+
+        // Band state: where the two lines are now and the next scripted move
+        let bands = { excessCashY: board.excessCashY, overdraftY: board.overdraftY };
+        let nextBandMove = bandScenario.nextMove(); // { time, excessCashRow, overdraftRow } or null
+        let bandMovesTaken = 1; // nextMove() calls so far, a resumed game replays them to reach the same moves
+
+        // Line clearing animation state
+        let clearingAnimation = null; // { rows: [row numbers], startTime: game time, combo }
+        let pendingClear = null; // { rows: count, combo } for rows completed while the animation plays
+
+        // Garbage rows sent by an opponent that haven't been pushed in yet
+        const garbageRandom = Pieces.createRandom((seed ^ GARBAGE_SEED_SALT) >>> 0);
+        let pendingGarbage = 0;
+        let garbageRowsInserted = 0;
+
+        // Pieces taken from the generator so far, a resumed game skips past them
+        let piecesTaken = 0;
+
+        // Emit an event with the current game time added to its data
+        function emit(event, data) {
+            emitter.emit(event, Object.assign({ time: time }, data));
+        }
+
+        // Announce the piece that has just become the current one
+        function emitPieceSpawned(fromHold) {
+            emit(EVENTS.PIECE_SPAWNED, {
+                shape: currentPiece.getRotatedShape(),
+                type: currentPiece.type,
+                amount: currentPiece.amount,
+                x: currentPiece.x,
+                fromHold: fromHold
+            });
+        }
+
+        // Create new falling piece from the next one in the queue
+        function createNewPiece() {
+            const piece = pieceGenerator.next();
+            piecesTaken++;
+            return new Block(piece.shape, piece.type, piece.x, countCells(piece.shape) * levelSettings.cashPerCell, piece.pivot, board);
+        }
+
+        // Place block on the board
+        function placeBlock(block) {
+            const shape = block.getRotatedShape();
+
+            for (let row = 0; row < shape.length; row++) {
+                for (let col = 0; col < shape[row].length; col++) {
+                    if (shape[row][col]) {
+                        grid.setType(block.row + row, block.x + col, block.type);
+                    }
+                }
+            }
+
+            stackVersion++;
+            blocksPlaced++;
+            canHold = true;
+
+            // Move the cash balance by the block's amount
+            balance += block.type === 'inflow' ? block.amount : -block.amount;
+            emit(EVENTS.PIECE_LOCKED, {
+                shape: shape,
+                type: block.type,
+                amount: block.amount,
+                x: block.x,
+                row: block.row,
+                balance: balance,
+                blocksPlaced: blocksPlaced
+            });
+
+            // Clear solid layers anywhere on the board (if any)
+            clearSolidLayers();
+
+            // Check if there's still a solid layer above overdraft line after clearing
+            hasSolidLayerAboveOverdraft = checkSolidLayerAboveOverdraft();
+        }
+
+        // Check if there's a solid layer above the overdraft line (just check, don't clear)
+        function checkSolidLayerAboveOverdraft() {
+            return grid.hasFullRowAbove(bands.overdraftY / CELL_SIZE);
+        }
+
+        // Score the rows a lock completed and start the clearing animation. Rows completed while
+        // the animation plays are scored now and start clearing once it finishes (see tick())
+        function clearSolidLayers() {
+            // Find all solid rows (complete rows) anywhere on the board
+            const rowsToClear = grid.getFullRows();
+            const waiting = clearingAnimation === null ? 0 : clearingAnimation.rows.length + (pendingClear ? pendingClear.rows : 0);
+            const completed = rowsToClear.length - waiting;
+
+            scoreLineClear(completed);
+            if (completed === 0) return;
+
+            if (clearingAnimation === null) {
+                clearingAnimation = {
+                    rows: rowsToClear,
+                    startTime: time,
+                    combo: combo
+                };
+            } else {
+                pendingClear = { rows: rowsToClear.length - clearingAnimation.rows.length, combo: combo };
+            }
+        }
+
+        // Award points for rows cleared by a lock, with a bonus for consecutive clears
+        function scoreLineClear(rows) {
+            if (rows === 0) {
+                combo = 0;
+                return;
+            }
+            score.lineClears += getLineClearPoints(rows) * level;
+            if (combo > 0) {
+                score.combos += COMBO_POINTS * combo * level;
+            }
+            combo++;
+        }
+
+        // Steady bonus while the stack top sits in the safe zone, penalty while the warning timer runs
+        function scoreTick() {
+            const topBlockY = getTopBlockPosition();
+            if (topBlockY !== null && topBlockY >= bands.excessCashY && topBlockY <= bands.overdraftY) {
+                score.safeZone += SAFE_ZONE_POINTS_PER_SECOND * level * TICK_DURATION / 1000;
+            }
+            if (warningTimer !== null) {
+                score.warningPenalty += WARNING_PENALTY_PER_SECOND * level * TICK_DURATION / 1000;
+            }
+        }
+
+        // Score breakdown in whole points, the total never drops below zero
+        function getScore() {
+            const breakdown = {
+                lineClears: score.lineClears,
+                combos: score.combos,
+                safeZone: Math.floor(score.safeZone),
+                warningPenalty: Math.floor(score.warningPenalty)
+            };
+            breakdown.total = Math.max(0, breakdown.lineClears + breakdown.combos + breakdown.safeZone - breakdown.warningPenalty);
+            return breakdown;
+        }
+
+        // Actually clear the rows and shift blocks down (called after animation)
+        // clearCombo: the combo of the lock that completed the rows
+        function performLineClearing(rowsToClear, clearCombo) {
+            if (rowsToClear.length === 0) return;
+
+            rowsCleared += rowsToClear.length;
+            emit(EVENTS.ROWS_CLEARED, {
+                rows: [...rowsToClear],
+                count: rowsToClear.length,
+                rowsCleared: rowsCleared,
+                combo: clearCombo
+            });
+
+            // Drop the rows above into the gap
+            grid.clearRows(rowsToClear);
+            stackVersion++;
+        }
+
+        // The stacked cells for getState(), built again only when the stack has changed.
+        // Every state shares them until then, so they are frozen
+        function getStackedBlocks() {
+            if (stackedBlocks === null || stackedBlocks.version !== stackVersion) {
+                stackedBlocks = { version: stackVersion, rows: grid.toStackedBlocks() };
+            }
+            return stackedBlocks.rows;
+        }
+
+        // Get the top block position (lowest Y value of stacked blocks only - not falling piece)
+        function getTopBlockPosition() {
+            const topRow = grid.getTopRow();
+            return topRow === null ? null : topRow * CELL_SIZE;
+        }
+
+        // Check if the cash balance is between the overdraft and excess cash limits
+        function isBalanceInSafeZone() {
+            return balance >= OVERDRAFT_BALANCE && balance <= EXCESS_CASH_BALANCE;
+        }
+
+        // Check if piece should stop falling
+        function shouldStopPiece(block) {
+            return block.checkCollision(grid, 0, 1);
+        }
+
+        // Lock the current piece in place and bring in the next one
+        function lockPiece() {
+            placeBlock(currentPiece);
+            currentPiece = createNewPiece();
+            dropTime = 0;
+            lockTime = 0;
+            lockResets = 0;
+
+            emitPieceSpawned(false);
+
+            // Check if new piece collides immediately (game over condition)
+            if (shouldStopPiece(currentPiece)) {
+                endGame('Stack Too High!');
+            }
+        }
+
+        // Find the row the current piece would land in
+        function getLandingRow(block) {
+            let offset = 0;
+            while (!block.checkCollision(grid, 0, offset + 1)) {
+                offset++;
+            }
+            return block.row + offset;
+        }
+
+        // Drop the current piece straight to where it lands and lock it
+        function hardDrop() {
+            currentPiece.row = getLandingRow(currentPiece);
+            lockPiece();
+            return true;
+        }
+
+        // A successful move or rotation of a landed piece restarts its lock delay, up to the reset cap
+        function afterPieceMoved(moved, action) {
+            if (moved && lockTime > 0 && lockResets < maxLockResets) {
+                lockTime = 0;
+                lockResets++;
+            }
+            if (moved) {
+                emit(EVENTS.PIECE_MOVED, { action: action, x: currentPiece.x, rotation: currentPiece.rotation });
+            }
+            return moved;
+        }
+
+        // Swap the current piece with the held one (or the next piece if nothing is held yet)
+        function holdPiece() {
+            if (!canHold) return false;
+
+            const outgoing = currentPiece;
+            const fromHold = heldPiece !== null;
+            currentPiece = fromHold
+                ? new Block(heldPiece.shape, heldPiece.type, heldPiece.spawnX, heldPiece.amount, heldPiece.pivot, board)
+                : createNewPiece();
+
+            // Held pieces keep their shape and cash flow type, but not their rotation or position
+            heldPiece = new Block(outgoing.shape, outgoing.type, outgoing.spawnX, outgoing.amount, outgoing.pivot, board);
+            canHold = false;
+            dropTime = 0;
+            lockTime = 0;
+            lockResets = 0;
+            emitPieceSpawned(fromHold);
+
+            // The swapped-in piece can be blocked just like a newly spawned one
+            if (shouldStopPiece(currentPiece)) {
+                endGame('Stack Too High!');
+            }
+            return true;
+        }
+
+        // End game
+        function endGame(message) {
+            gameOver = true;
+            endReason = message;
+            emit(EVENTS.GAME_OVER, {
+                reason: message,
+                won: won,
+                score: getScore().total,
+                blocksPlaced: blocksPlaced,
+                rowsCleared: rowsCleared
+            });
+        }
+
+        // Start or cancel the warning timer from the current stack and balance
+        function updateWarningTimer() {
+            // Timer logic: the stack is only checked after solid layer is established
+            let isStackOutsideSafeZone = false;
+            let isStackInSafeZone = false;
+            if (hasSolidLayerAboveOverdraft) {
+                const topBlockY = getTopBlockPosition();
+
+                if (topBlockY !== null) {
+                    const isTopBlockBelowOverdraft = topBlockY > bands.overdraftY;
+                    const isTopBlockAboveExcessCash = topBlockY < bands.excessCashY;
+                    const isTopBlockInSafeZone = topBlockY >= bands.excessCashY && topBlockY <= bands.overdraftY;
+
+                    // Track if top block has been in safe zone (between the two lines) at rest
+                    if (isTopBlockInSafeZone) {
+                        hasTopBlockBeenInSafeZone = true;
+                    }
+
+                    // Stack is outside if:
+                    // 1. Top block has been in safe zone at rest before
+                    // 2. Top block is now outside safe zone (below overdraft OR above excess cash)
+                    isStackOutsideSafeZone = hasTopBlockBeenInSafeZone && (isTopBlockBelowOverdraft || isTopBlockAboveExcessCash);
+                    isStackInSafeZone = isTopBlockInSafeZone;
+                }
+            }
+
+            // Timer logic: the balance is only checked once the grace period is over
+            const isBalanceOutsideSafeZone = useBalanceRules && blocksPlaced >= gracePeriodBlocks && !isBalanceInSafeZone();
+
+            if (isStackOutsideSafeZone || isBalanceOutsideSafeZone) {
+                // Stack or balance is outside safe zone - start timer if not already started
+                if (warningTimer === null) {
+                    warningTimer = time + levelSettings.warningTimerDuration;
+                    warningCause = isStackOutsideSafeZone ? 'stack' : 'balance';
+                    emit(EVENTS.WARNING_STARTED, { cause: warningCause, duration: levelSettings.warningTimerDuration });
+                }
+            } else if (isStackInSafeZone || (warningTimer !== null && warningCause === 'balance')) {
+                // Stack and balance are back in safe zone - cancel timer
+                if (warningTimer !== null) {
+                    emit(EVENTS.WARNING_CANCELLED, { cause: warningCause });
+                }
+                warningTimer = null;
+                warningCause = null;
+            }
+        }
+
+        // Push the pending garbage rows in from the bottom, each with one empty cell.
+        // Blocks pushed off the top, or a falling piece with nowhere to go, end the game
+        function insertGarbageRows() {
+            const count = Math.min(pendingGarbage, board.rows);
+            pendingGarbage = 0;
+
+            const topRow = grid.getTopRow();
+            if (topRow !== null && topRow < count) {
+                endGame('Stack Too High!');
+                return;
+            }
+
+            grid.shiftUp(count);
+            for (let row = board.rows - count; row < board.rows; row++) {
+                const gap = Math.floor(garbageRandom() * board.cols);
+                garbageRowsInserted++;
+                for (let col = 0; col < board.cols; col++) {
+                    if (col !== gap) {
+                        grid.setType(row, col, GARBAGE_CELL_TYPE);
+                    }
+                }
+            }
+            stackVersion++;
+            emit(EVENTS.GARBAGE_RECEIVED, { rows: count });
+
+            // Lift the falling piece out of the way
+            while (currentPiece.checkCollision(grid) && currentPiece.row >= 1) {
+                currentPiece.row--;
+            }
+            if (currentPiece.checkCollision(grid)) {
+                endGame('Stack Too High!');
+            }
+        }
+
+        // Move the lines once the next scripted band move is due
+        function updateBands() {
+            while (nextBandMove !== null && time >= nextBandMove.time) {
+                bands = {
+                    excessCashY: nextBandMove.excessCashRow * CELL_SIZE,
+                    overdraftY: nextBandMove.overdraftRow * CELL_SIZE
+                };
+                nextBandMove = bandScenario.nextMove();
+                bandMovesTaken++;
+            }
+        }
+
+        // The next band move once it is close enough to warn about, otherwise null
+        function getUpcomingBandMove() {
+            if (nextBandMove === null || time < nextBandMove.time - Bands.BAND_MOVE_WARNING) {
+                return null;
+            }
+            return {
+                excessCashY: nextBandMove.excessCashRow * CELL_SIZE,
+                overdraftY: nextBandMove.overdraftRow * CELL_SIZE,
+                remaining: nextBandMove.time - time
+            };
+        }
+
+        // How far the game has got on the measure that drives levels
+        function getLevelMeasure() {
+            if (levelBy === 'lines') return rowsCleared;
+            if (levelBy === 'blocks') return blocksPlaced;
+            return time;
+        }
+
+        // Move up a level once enough time, lines or blocks have passed
+        function updateLevel() {
+            const newLevel = Math.min(MAX_LEVEL, 1 + Math.floor(getLevelMeasure() / LEVEL_UP_EVERY[levelBy]));
+            if (newLevel !== level) {
+                level = newLevel;
+                levelSettings = getLevelSettings(level, baseDropInterval);
+            }
+        }
+
+        // Win once any of the win conditions has been reached
+        function checkWinConditions() {
+            const survived = winConditions.surviveTime !== undefined && time >= winConditions.surviveTime;
+            const cleared = winConditions.clearRows !== undefined && rowsCleared >= winConditions.clearRows;
+            if (survived || cleared) {
+                won = true;
+                endGame('Scenario Complete!');
+            }
+        }
+
+        // Progress from 0 to 1 towards the next level (1 at the top level)
+        function getLevelProgress() {
+            if (level >= MAX_LEVEL) return 1;
+            return (getLevelMeasure() % LEVEL_UP_EVERY[levelBy]) / LEVEL_UP_EVERY[levelBy];
+        }
+
+        // Advance the game by one fixed tick
+        function tick() {
+            time += TICK_DURATION;
+            ticks++;
+            updateBands();
+
+            // Finish the line clearing animation once it has played
+            if (clearingAnimation !== null && time - clearingAnimation.startTime >= CLEARING_ANIMATION_DURATION) {
+                performLineClearing(clearingAnimation.rows, clearingAnimation.combo);
+                clearingAnimation = null;
+
+                // Rows completed during the animation get their own
+                if (pendingClear !== null) {
+                    clearingAnimation = {
+                        rows: grid.getFullRows(),
+                        startTime: time,
+                        combo: pendingClear.combo
+                    };
+                    pendingClear = null;
+                }
+            }
+
+            // Garbage waits for the clearing animation so the rows being cleared stay put
+            if (pendingGarbage > 0 && clearingAnimation === null) {
+                insertGarbageRows();
+                if (gameOver) return;
+            }
+
+            if (currentPiece) {
+                if (shouldStopPiece(currentPiece)) {
+                    // Piece has landed - lock it once the lock delay runs out
+                    dropTime = 0;
+                    lockTime += TICK_DURATION;
+                    if (lockTime >= lockDelay) {
+                        lockPiece();
+                        if (gameOver) return;
+                    }
+                } else {
+                    // Drop piece periodically (faster while soft drop is held)
+                    lockTime = 0;
+                    dropTime += TICK_DURATION;
+                    const dropInterval = softDrop ? Math.min(FAST_DROP_INTERVAL, levelSettings.dropInterval) : levelSettings.dropInterval;
+                    if (dropTime >= dropInterval) {
+                        currentPiece.row++;
+                        dropTime = 0;
+                    }
+                }
+            }
+
+            // Check if there's a solid layer above overdraft line (for timer activation)
+            hasSolidLayerAboveOverdraft = checkSolidLayerAboveOverdraft();
+
+            // Timer logic: check timer expiration first (even if solid layer is gone)
+            if (warningTimer !== null && time >= warningTimer) {
+                endGame('Time Limit Exceeded!');
+                return;
+            }
+
+            updateWarningTimer();
+            scoreTick();
+            updateLevel();
+            checkWinConditions();
+        }
+
+        // Advance the game by dt milliseconds (measured with the injected clock if omitted)
+        function step(dt) {
+            const currentNow = now();
+            if (dt === undefined) {
+                dt = currentNow - lastNow;
+            }
+            lastNow = currentNow;
+            if (paused) return;
+
+            if (!started) {
+                started = true;
+                emit(EVENTS.GAME_STARTED, {
+                    seed: seed,
+                    board: Object.assign({}, board),
+                    bandScenario: bandScenario.scenario,
+                    levelBy: levelBy,
+                    randomizer: pieceGenerator.randomizer,
+                    currentPiece: {
+                        shape: currentPiece.getRotatedShape(),
+                        type: currentPiece.type,
+                        amount: currentPiece.amount,
+                        x: currentPiece.x
+                    }
+                });
+            }
+
+            accumulator += Math.max(0, dt);
+            while (accumulator >= TICK_DURATION && !gameOver) {
+                tick();
+                accumulator -= TICK_DURATION;
+            }
+        }
+
+        // Pause or resume the game. While paused step() lets no time pass, so gravity,
+        // the warning timer and the line clearing animation all stop
+        function setPaused(value) {
+            if (gameOver) return;
+            paused = value;
+            softDrop = false; // the key release may never arrive while paused
+        }
+
+        // Apply a player input, returns true if it changed the game
+        function applyInput(action) {
+            if (gameOver || paused || !currentPiece) return false;
+
+            switch (action) {
+                case ACTIONS.MOVE_LEFT:
+                    return afterPieceMoved(currentPiece.move(grid, -1), action);
+                case ACTIONS.MOVE_RIGHT:
+                    return afterPieceMoved(currentPiece.move(grid, 1), action);
+                case ACTIONS.ROTATE:
+                    return afterPieceMoved(currentPiece.rotate(grid, 1), action);
+                case ACTIONS.ROTATE_CCW:
+                    return afterPieceMoved(currentPiece.rotate(grid, -1), action);
+                case ACTIONS.SOFT_DROP_START:
+                    softDrop = true;
+                    return true;
+                case ACTIONS.SOFT_DROP_END:
+                    softDrop = false;
+                    return true;
+                case ACTIONS.HARD_DROP:
+                    return hardDrop();
+                case ACTIONS.HOLD:
+                    return holdPiece();
+                default:
+                    return false;
+            }
+        }
+
+        // Queue rows of garbage to push in from the bottom (sent by the opponent in versus mode),
+        // they arrive on the next tick. Returns false if the game is already over
+        function addGarbageRows(count) {
+            if (gameOver || !(count > 0)) return false;
+            pendingGarbage += Math.floor(count);
+            return true;
+        }
+
+        // Number of fixed ticks played so far (cheaper than getState() when only the clock is needed)
+        function getTicks() {
+            return ticks;
+        }
+
+        // Snapshot of the game for renderers and HUDs (safe to keep, never mutated by the engine)
+        function getState() {
+            return {
+                seed: seed,
+                board: Object.assign({}, board),
+                bands: Object.assign({}, bands),
+                bandScenario: bandScenario.scenario,
+                bandMove: getUpcomingBandMove(),
+                time: time,
+                ticks: ticks,
+                gameOver: gameOver,
+                paused: paused,
+                endReason: endReason,
+                won: won,
+                winConditions: Object.assign({}, winConditions),
+                stackedBlocks: getStackedBlocks(), // rows of { type } cells, null for empty cells and rows
+                stackVersion: stackVersion,
+                currentPiece: currentPiece && {
+                    shape: currentPiece.getRotatedShape(),
+                    type: currentPiece.type,
+                    amount: currentPiece.amount,
+                    x: currentPiece.x,
+                    y: currentPiece.row * CELL_SIZE,
+                    rotation: currentPiece.rotation,
+                    baseShape: currentPiece.shape.map(row => [...row]), // unrotated, with pivot rebuilds the Block
+                    pivot: [...currentPiece.pivot],
+                    landingY: getLandingRow(currentPiece) * CELL_SIZE
+                },
+                nextPieces: pieceGenerator.peek(previewCount).map(piece => ({
+                    shape: piece.shape.map(row => [...row]),
+                    type: piece.type,
+                    amount: countCells(piece.shape) * levelSettings.cashPerCell
+                })),
+                heldPiece: heldPiece && {
+                    shape: heldPiece.shape.map(row => [...row]),
+                    type: heldPiece.type,
+                    amount: heldPiece.amount
+                },
+                canHold: canHold,
+                lockProgress: lockDelay > 0 ? Math.min(1, lockTime / lockDelay) : 0,
+                randomizer: pieceGenerator.randomizer,
+                blocksPlaced: blocksPlaced,
+                rowsCleared: rowsCleared,
+                score: getScore(),
+                combo: combo,
+                level: level,
+                levelBy: levelBy,
+                levelProgress: getLevelProgress(),
+                dropInterval: levelSettings.dropInterval,
+                balance: balance,
+                isBalanceInSafeZone: isBalanceInSafeZone(),
+                useBalanceRules: useBalanceRules,
+                topBlockY: getTopBlockPosition(),
+                warningRemaining: warningTimer === null ? null : Math.max(0, warningTimer - time),
+                warningCause: warningCause,
+                pendingGarbage: pendingGarbage,
+                clearingAnimation: clearingAnimation && {
+                    rows: [...clearingAnimation.rows],
+                    progress: Math.min(1, (time - clearingAnimation.startTime) / CLEARING_ANIMATION_DURATION)
+                }
+            };
+        }
+
+        function getBlockSnapshot(block) {
+            return block && {
+                shape: block.shape.map(row => [...row]),
+                pivot: [...block.pivot],
+                type: block.type,
+                amount: block.amount,
+                x: block.x,
+                spawnX: block.spawnX,
+                y: block.row * CELL_SIZE,
+                rotation: block.rotation
+            };
+        }
+
+        function restoreBlock(data) {
+            if (data === null) return null;
+            const block = new Block(data.shape.map(row => [...row]), data.type, data.spawnX, data.amount, [...data.pivot], board);
+            block.x = data.x;
+            block.row = Math.round(data.y / CELL_SIZE);
+            block.rotation = data.rotation;
+            return block;
+        }
+
+        // Everything needed to carry on this exact game later, as a plain object ready for
+        // JSON.stringify. Pass it back as options.snapshot (with the same options) to resume.
+        // Timers are kept as time remaining, the PRNGs as how many values have been drawn
+        function getSnapshot() {
+            return {
+                time: time,
+                ticks: ticks,
+                accumulator: accumulator,
+                started: started,
+                stackedBlocks: grid.toTypeRows(),
+                currentPiece: getBlockSnapshot(currentPiece),
+                heldPiece: getBlockSnapshot(heldPiece),
+                canHold: canHold,
+                piecesTaken: piecesTaken,
+                blocksPlaced: blocksPlaced,
+                rowsCleared: rowsCleared,
+                balance: balance,
+                level: level,
+                combo: combo,
+                score: Object.assign({}, score),
+                dropTime: dropTime,
+                softDrop: softDrop,
+                lockTime: lockTime,
+                lockResets: lockResets,
+                warningRemaining: warningTimer === null ? null : warningTimer - time,
+                warningCause: warningCause,
+                hasSolidLayerAboveOverdraft: hasSolidLayerAboveOverdraft,
+                hasTopBlockBeenInSafeZone: hasTopBlockBeenInSafeZone,
+                bands: Object.assign({}, bands),
+                bandMovesTaken: bandMovesTaken,
+                nextBandMoveRemaining: nextBandMove === null ? null : nextBandMove.time - time,
+                clearingAnimation: clearingAnimation && {
+                    rows: [...clearingAnimation.rows],
+                    elapsed: time - clearingAnimation.startTime,
+                    combo: clearingAnimation.combo
+                },
+                pendingClear: pendingClear && Object.assign({}, pendingClear),
+                pendingGarbage: pendingGarbage,
+                garbageRowsInserted: garbageRowsInserted
+            };
+        }
+
+        // Put the game back the way getSnapshot() found it, throws if the snapshot doesn't fit
+        // this board. The pieces, band moves and garbage gaps still to come are found by drawing
+        // from freshly seeded PRNGs as many times as the saved game had
+        function restoreSnapshot(snapshot) {
+            if (!snapshot || !Array.isArray(snapshot.stackedBlocks) || snapshot.stackedBlocks.length !== board.rows ||
+                !snapshot.currentPiece) {
+                throw new Error('Saved game does not match the board');
+            }
+
+            time = snapshot.time;
+            ticks = snapshot.ticks;
+            accumulator = snapshot.accumulator;
+            started = snapshot.started;
+            grid = new Grid(board.cols, board.rows);
+            snapshot.stackedBlocks.forEach((cells, row) => {
+                if (cells === null) return;
+                if (cells.length !== board.cols) {
+                    throw new Error('Saved game does not match the board');
+                }
+                cells.forEach((type, col) => {
+                    if (type !== null) {
+                        grid.setType(row, col, type);
+                    }
+                });
+            });
+            stackVersion++;
+
+            for (let i = 0; i < snapshot.piecesTaken; i++) {
+                pieceGenerator.next();
+            }
+            piecesTaken = snapshot.piecesTaken;
+            currentPiece = restoreBlock(snapshot.currentPiece);
+            heldPiece = restoreBlock(snapshot.heldPiece);
+            canHold = snapshot.canHold;
+
+            blocksPlaced = snapshot.blocksPlaced;
+            rowsCleared = snapshot.rowsCleared;
+            balance = snapshot.balance;
+            level = snapshot.level;
+            levelSettings = getLevelSettings(level, baseDropInterval);
+            combo = snapshot.combo;
+            Object.assign(score, snapshot.score);
+            dropTime = snapshot.dropTime;
+            softDrop = snapshot.softDrop;
+            lockTime = snapshot.lockTime;
+            lockResets = snapshot.lockResets;
+
+            warningTimer = snapshot.warningRemaining === null ? null : time + snapshot.warningRemaining;
+            warningCause = snapshot.warningCause;
+            hasSolidLayerAboveOverdraft = snapshot.hasSolidLayerAboveOverdraft;
+            hasTopBlockBeenInSafeZone = snapshot.hasTopBlockBeenInSafeZone;
+
+            bands = Object.assign({}, snapshot.bands);
+            while (bandMovesTaken < snapshot.bandMovesTaken) {
+                nextBandMove = bandScenario.nextMove();
+                bandMovesTaken++;
+            }
+            if (nextBandMove !== null) {
+                nextBandMove = Object.assign({}, nextBandMove, { time: time + snapshot.nextBandMoveRemaining });
+            }
+
+            clearingAnimation = snapshot.clearingAnimation && {
+                rows: [...snapshot.clearingAnimation.rows],
+                startTime: time - snapshot.clearingAnimation.elapsed,
+                combo: snapshot.clearingAnimation.combo
+            };
+            pendingClear = snapshot.pendingClear ? Object.assign({}, snapshot.pendingClear) : null;
+
+            for (let i = 0; i < snapshot.garbageRowsInserted; i++) {
+                garbageRandom();
+            }
+            garbageRowsInserted = snapshot.garbageRowsInserted;
+            pendingGarbage = snapshot.pendingGarbage;
+        }
+
+        if (options.snapshot) {
+            restoreSnapshot(options.snapshot);
+        } else {
+            currentPiece = createNewPiece();
+        }
+
+        return {
+            step: step,
+            setPaused: setPaused,
+            getTicks: getTicks,
+            applyInput: applyInput,
+            addGarbageRows: addGarbageRows,
+            getState: getState,
+            getSnapshot: getSnapshot,
+            on: emitter.on,
+            off: emitter.off
+        };
+    }
+
+    return {
+        BOARD_WIDTH: BOARD_WIDTH,
+        BOARD_HEIGHT: BOARD_HEIGHT,
+        CELL_SIZE: CELL_SIZE,
+        COLS: COLS,
+        ROWS: ROWS,
+        OVERDRAFT_Y: OVERDRAFT_Y,
+        EXCESS_CASH_Y: EXCESS_CASH_Y,
+        OVERDRAFT_LINE: OVERDRAFT_LINE,
+        EXCESS_CASH_LINE: EXCESS_CASH_LINE,
+        MIN_COLS: MIN_COLS,
+        MAX_COLS: MAX_COLS,
+        MIN_ROWS: MIN_ROWS,
+        MAX_ROWS: MAX_ROWS,
+        createBoardGeometry: createBoardGeometry,
+        BAND_SCENARIOS: Bands.BAND_SCENARIOS,
+        BAND_MOVE_WARNING: Bands.BAND_MOVE_WARNING,
+        STARTING_BALANCE: STARTING_BALANCE,
+        OVERDRAFT_BALANCE: OVERDRAFT_BALANCE,
+        EXCESS_CASH_BALANCE: EXCESS_CASH_BALANCE,
+        GARBAGE_CELL_TYPE: GARBAGE_CELL_TYPE,
+        WARNING_TIMER_DURATION: WARNING_TIMER_DURATION,
+        TICK_DURATION: TICK_DURATION,
+        MAX_LEVEL: MAX_LEVEL,
+        LEVEL_UP_EVERY: LEVEL_UP_EVERY,
+        getLevelSettings: getLevelSettings,
+        BLOCK_SHAPES: Pieces.BLOCK_SHAPES,
+        RANDOMIZERS: Pieces.RANDOMIZERS,
+        ACTIONS: ACTIONS,
+        EVENTS: EVENTS,
+        Block: Block,
+        Grid: Grid,
+        createRandom: Pieces.createRandom,
+        createEngine: createEngine
+    };
+});
@@ -0,0 +1,65 @@
+// Liquidity Rush events
+// A small event emitter, and the names of the events the engine emits.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LiquidityEvents = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Events emitted by the engine, each with a plain data object that includes the game time
+    const EVENTS = {
+        GAME_STARTED: 'gameStarted', // { seed, board, bandScenario, levelBy, randomizer, currentPiece }
+        PIECE_SPAWNED: 'pieceSpawned', // { shape, type, amount, x, fromHold }
+        PIECE_MOVED: 'pieceMoved', // { action, x, rotation } after a move or rotation input that worked
+        PIECE_LOCKED: 'pieceLocked', // { shape, type, amount, x, row, balance, blocksPlaced }
+        ROWS_CLEARED: 'rowsCleared', // { rows, count, rowsCleared, combo }
+        WARNING_STARTED: 'warningStarted', // { cause, duration }
+        WARNING_CANCELLED: 'warningCancelled', // { cause }
+        GARBAGE_RECEIVED: 'garbageReceived', // { rows } (versus mode)
+        GAME_OVER: 'gameOver' // { reason, won, score, blocksPlaced, rowsCleared }
+    };
+
+    // Create an event emitter
+    function createEventEmitter() {
+        const listeners = new Map(); // event -> [listener]
+
+        // Call listener(data) every time event is emitted, returns a function that stops it
+        function on(event, listener) {
+            if (!listeners.has(event)) {
+                listeners.set(event, []);
+            }
+            listeners.get(event).push(listener);
+            return () => off(event, listener);
+        }
+
+        function off(event, listener) {
+            const list = listeners.get(event);
+            if (!list) return;
+            const index = list.indexOf(listener);
+            if (index !== -1) {
+                list.splice(index, 1);
+            }
+        }
+
+        function emit(event, data) {
+            const list = listeners.get(event);
+            if (!list) return;
+            // Copy so listeners can unsubscribe while being called
+            [...list].forEach(listener => listener(data));
+        }
+
+        return {
+            on: on,
+            off: off,
+            emit: emit
+        };
+    }
+
+    return {
+        EVENTS: EVENTS,
+        createEventEmitter: createEventEmitter
+    };
+});
@@ -1,629 +1,511 @@
-// Game constants
-const BOARD_WIDTH = 300;
-const BOARD_HEIGHT = 600;
-const CELL_SIZE = 30;
-const COLS = BOARD_WIDTH / CELL_SIZE;
-const ROWS = BOARD_HEIGHT / CELL_SIZE;
-
-// Two bands: overdraft (bottom) and excess cash (top)
-const OVERDRAFT_LINE = 0.8; // 80% from top (20% from bottom)
-const EXCESS_CASH_LINE = 0.2; // 20% from top
-const OVERDRAFT_Y = BOARD_HEIGHT * OVERDRAFT_LINE;
-const EXCESS_CASH_Y = BOARD_HEIGHT * EXCESS_CASH_LINE;
-
-// Grace period: number of blocks that can be placed before checking overdraft
-let gracePeriodBlocks = 5;
-let blocksPlaced = 0;
-
-// Timer state
-let warningTimer = null; // null means no timer active, otherwise it's the end time
-const WARNING_TIMER_DURATION = 20000; // 20 seconds in milliseconds
-let hasSolidLayerAboveOverdraft = false;
-let hasTopBlockBeenInSafeZone = false; // Track if top block has been in safe zone (between the two lines) at rest
-
-// Line clearing animation state
-let clearingAnimation = null; // { rows: [row numbers], startTime: timestamp }
-const CLEARING_ANIMATION_DURATION = 300; // milliseconds
+// Liquidity Rush browser front end
+// Renders the engine state to the canvas, keeps the side panel HUD in sync
+// and feeds keyboard input to the engine. All game rules live in engine.js.
+const {
+    CELL_SIZE,
+    ACTIONS,
+    TICK_DURATION
+} = LiquidityEngine;
+
+// Next-piece preview
+const PREVIEW_CELL_SIZE = 15;
+const PREVIEW_SLOT_HEIGHT = 60; // room for a 3-cell shape plus spacing
 
 // Game state
-let canvas, ctx;
+let canvas;
+let engine = null;
+let gameState = null; // latest engine.getState() snapshot
 let gameRunning = false;
-let gameStartTime = 0;
-let currentPiece = null;
-let stackedBlocks = [];
-let dropTime = 0;
 let lastTime = 0;
+let gameMode = null; // { key, label } of the settings the current game was started with
+let board = LiquidityEngine.createBoardGeometry(); // geometry the canvas is sized and drawn for
 
-// Block shapes (smaller than Tetris to fit narrow column)
-const BLOCK_SHAPES = [
-    // Line (single block)
-    [[1]],
-    // L-shapes
-    [[1, 0], [1, 1]],
-    [[0, 1], [1, 1]],
-    [[1, 1], [1, 0]],
-    [[1, 1], [0, 1]],
-    // T-shape
-    [[1, 1, 1], [0, 1, 0]],
-    // Square
-    [[1, 1], [1, 1]]
-];
+// High scores
+const leaderboard = LiquidityLeaderboard.createLeaderboard(window.localStorage);
+const PLAYER_NAME_KEY = 'liquidityRush.playerName';
+let pendingHighScore = null; // result waiting for a name on the game over screen
 
-// Initialize canvas
-function initCanvas() {
-    canvas = document.getElementById('game-canvas');
-    ctx = canvas.getContext('2d');
-}
+// Input: keyboard, touch, on-screen buttons and gamepads all go through the input controller,
+// which auto-repeats held directions and hands every action to dispatchAction()
+const INPUT_SETTINGS_KEY = 'liquidityRush.inputSettings';
+const inputController = LiquidityInput.createInputController(Object.assign({
+    dispatch: dispatchAction,
+    repeatable: [ACTIONS.MOVE_LEFT, ACTIONS.MOVE_RIGHT],
+    releaseActions: { [ACTIONS.SOFT_DROP_START]: ACTIONS.SOFT_DROP_END }
+}, loadInputSettings()));
+const gamepadPoller = LiquidityInput.createGamepadPoller(inputController, navigator.getGamepads ? () => navigator.getGamepads() : null);
+const keyBindings = LiquidityKeyBindings.createKeyBindings(window.localStorage);
+let bindingTarget = null; // { action, slot } waiting for a key in the controls panel
 
-// Block class
-class Block {
-    constructor(shape, type, x) {
-        this.shape = shape;
-        this.type = type; // 'inflow' (blue) or 'outflow' (red)
-        this.x = x; // Horizontal position (0 to COLS - shape width)
-        this.y = 0; // Vertical position
-        this.rotation = 0;
-    }
+// Scenarios: levels listed in SCENARIO_INDEX_URL or loaded from a file
+const SCENARIO_INDEX_URL = 'scenarios/index.json';
+let currentScenario = null; // parsed scenario the next game starts from, null for free play
+let scenarioList = null; // built-in scenarios once loaded
 
-    getWidth() {
-        return this.shape[0].length;
-    }
+// Plugins: listen to engine events and add HUD widgets, see plugins.js
+const pluginManager = LiquidityPlugins.createPluginManager({ container: document.getElementById('plugin-widgets') });
+window.liquidityRush = {
+    EVENTS: LiquidityEngine.EVENTS,
+    registerPlugin: pluginManager.register
+};
 
-    getHeight() {
-        return this.shape.length;
-    }
+// Telemetry of the current (or last) game for the post-game dashboard
+let telemetry = null;
 
-    // Get rotated shape
-    getRotatedShape() {
-        let shape = this.shape;
-        for (let i = 0; i < this.rotation % 4; i++) {
-            shape = this.rotate90(shape);
-        }
-        return shape;
-    }
+// Bot (see bot.js): autoplay demo, hint overlay and a benchmark for the dashboard
+const HINT_SETTING_KEY = 'liquidityRush.showHint';
+const BOT_BENCHMARK_MAX_TIME = 300000; // milliseconds of game time the dashboard benchmark plays at most
+const BOT_BENCHMARK_SLICE = 8; // milliseconds the benchmark may run for before letting the page respond
+let showHint = localStorage.getItem(HINT_SETTING_KEY) === 'true';
+let hint = null; // { key, placement } so the hint is only worked out again for a new piece or stack
+let autoplayer = null; // set while the bot is playing a demo game
+let botBenchmark = null; // bot's result on the last game's pieces, once worked out
+let botBenchmarkTimer = null; // set while the benchmark is being worked out
 
-    rotate90(matrix) {
-        const rows = matrix.length;
-        const cols = matrix[0].length;
-        const rotated = [];
-        for (let i = 0; i < cols; i++) {
-            rotated[i] = [];
-            for (let j = 0; j < rows; j++) {
-                rotated[i][j] = matrix[rows - 1 - j][i];
-            }
-        }
-        return rotated;
-    }
+// Versus: two players on one keyboard with fixed keys, see versus.js
+const versusKeyBindings = LiquidityKeyBindings.VERSUS_BINDINGS.map(defaults =>
+    LiquidityKeyBindings.createKeyBindings(null, { defaults: defaults }));
+let versusMatch = null; // set while a versus match is on screen
+let versusInputs = []; // an input controller per player
+let versusRenderers = []; // a board renderer per player
+let versusPaused = false;
+let versusLastTime = 0; // own frame clock, a paused single player game's loop keeps running alongside
 
-    // Check collision with walls or stacked blocks
-    checkCollision(offsetX = 0, offsetY = 0, newRotation = null) {
-        const shape = newRotation !== null ? this.getRotatedShapeWithRotation(newRotation) : this.getRotatedShape();
-        const newX = this.x + offsetX;
-        const newY = this.y + offsetY;
+// Saved game: the running game is saved whenever it pauses (including when the page is hidden)
+// and can be carried on later with Continue, see savegame.js
+const saveSlot = LiquiditySaveGame.createSaveSlot(window.localStorage);
+let ownsSave = false; // the saved game is the one being played, so it goes when this game ends
 
-        // Check walls
-        if (newX < 0 || newX + shape[0].length > COLS) {
-            return true;
-        }
-        if (newY + shape.length * CELL_SIZE > BOARD_HEIGHT) {
-            return true;
-        }
+// Replays
+let replayPlayer = null; // set while a loaded replay is being watched
+let lastRecording = null; // recording of the last finished game
 
-        // Check stacked blocks
-        for (let row = 0; row < shape.length; row++) {
-            for (let col = 0; col < shape[row].length; col++) {
-                if (shape[row][col]) {
-                    const boardRow = Math.floor((newY + row * CELL_SIZE) / CELL_SIZE);
-                    const boardCol = newX + col;
-                    
-                    if (boardRow >= 0 && boardRow < ROWS) {
-                        if (stackedBlocks[boardRow] && stackedBlocks[boardRow][boardCol]) {
-                            return true;
-                        }
-                    }
-                }
-            }
-        }
+// Display: color palette and reduced motion, see accessibility.js
+const DISPLAY_SETTINGS_KEY = 'liquidityRush.displaySettings';
+let palette = LiquidityAccessibility.getPalette(LiquidityAccessibility.DEFAULT_PALETTE);
+let reducedMotion = false; // static warning and line clear indicators instead of pulsing and flashing
 
-        return false;
-    }
+// Sound effects and music, see audio.js
+const audio = LiquidityAudio.createAudioPlayer({ storage: window.localStorage });
 
-    getRotatedShapeWithRotation(rotation) {
-        let shape = this.shape;
-        for (let i = 0; i < rotation % 4; i++) {
-            shape = this.rotate90(shape);
-        }
-        return shape;
-    }
+// Screen reader announcements of what happens in the game
+const announcer = LiquidityAccessibility.createAnnouncer({
+    polite: document.getElementById('announcer'),
+    assertive: document.getElementById('alert-announcer')
+});
 
-    // Move block
-    move(dx) {
-        if (!this.checkCollision(dx, 0)) {
-            this.x += dx;
-        }
-    }
+let nextCanvas, nextCtx;
+let holdCanvas, holdCtx;
+let boardRenderer; // draws the cached layers of the board, see renderer.js
 
-    // Rotate block
-    rotate() {
-        const newRotation = (this.rotation + 1) % 4;
-        if (!this.checkCollision(0, 0, newRotation)) {
-            this.rotation = newRotation;
-        }
-    }
+// Initialize canvas
+function initCanvas() {
+    canvas = document.getElementById('game-canvas');
+    boardRenderer = LiquidityRenderer.createBoardRenderer(canvas);
+    boardRenderer.resize(board);
+    nextCanvas = document.getElementById('next-canvas');
+    nextCtx = LiquidityRenderer.fitCanvas(nextCanvas, nextCanvas.width, nextCanvas.height);
+    holdCanvas = document.getElementById('hold-canvas');
+    holdCtx = LiquidityRenderer.fitCanvas(holdCanvas, holdCanvas.width, holdCanvas.height);
+}
 
-    // Draw dollar bill block
-    drawDollarBill(x, y) {
-        // Base green color (dollar bill green)
-        const baseColor = '#c9e7c5';
-        const darkGreen = '#87c87a';
-        const borderColor = '#5a8a4f';
-        
-        // Draw base rectangle with gradient (dollar bill color)
-        const gradient = ctx.createLinearGradient(x, y, x + CELL_SIZE, y + CELL_SIZE);
-        gradient.addColorStop(0, baseColor);
-        gradient.addColorStop(0.5, '#b5d9b0');
-        gradient.addColorStop(1, darkGreen);
-        
-        ctx.fillStyle = gradient;
-        ctx.fillRect(x + 1, y + 1, CELL_SIZE - 2, CELL_SIZE - 2);
-        
-        // Draw border (dollar bill edge)
-        ctx.strokeStyle = borderColor;
-        ctx.lineWidth = 1.5;
-        ctx.strokeRect(x + 0.5, y + 0.5, CELL_SIZE - 1, CELL_SIZE - 1);
-        
-        // Add some dollar bill pattern/texture
-        ctx.strokeStyle = 'rgba(90, 138, 79, 0.3)';
-        ctx.lineWidth = 0.5;
-        
-        // Draw horizontal lines (bill texture)
-        for (let i = 0; i < 3; i++) {
-            const offsetY = y + 2 + (i * (CELL_SIZE - 4) / 2);
-            ctx.beginPath();
-            ctx.moveTo(x + 2, offsetY);
-            ctx.lineTo(x + CELL_SIZE - 2, offsetY);
-            ctx.stroke();
-        }
-        
-        // Draw dollar sign pattern
-        ctx.fillStyle = 'rgba(90, 138, 79, 0.4)';
-        ctx.font = `${CELL_SIZE * 0.5}px Arial`;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText('$', x + CELL_SIZE / 2, y + CELL_SIZE / 2);
-    }
-
-    // Draw block
-    draw() {
-        const shape = this.getRotatedShape();
-
-        for (let row = 0; row < shape.length; row++) {
-            for (let col = 0; col < shape[row].length; col++) {
-                if (shape[row][col]) {
-                    const x = (this.x + col) * CELL_SIZE;
-                    const y = this.y + row * CELL_SIZE;
-                    
-                    // Draw dollar bill instead of colored block
-                    this.drawDollarBill(x, y);
-                }
-            }
-        }
-    }
+// Size the canvas for a board geometry (from createBoardGeometry() or getState().board)
+function setBoard(geometry) {
+    board = geometry;
+    boardRenderer.invalidate();
+    boardRenderer.resize(board);
 }
 
-// Create new falling piece
-function createNewPiece() {
-    const shapeIndex = Math.floor(Math.random() * BLOCK_SHAPES.length);
-    const shape = BLOCK_SHAPES[shapeIndex].map(row => [...row]);
-    const type = Math.random() < 0.5 ? 'inflow' : 'outflow'; // 50/50 chance
-    const maxX = COLS - shape[0].length;
-    const x = Math.floor(Math.random() * (maxX + 1));
-    return new Block(shape, type, x);
+// Board size and band positions from the settings inputs, as engine options
+function getBoardOptions() {
+    return {
+        cols: Number(document.getElementById('cols-input').value),
+        rows: Number(document.getElementById('rows-input').value),
+        excessCashLine: Number(document.getElementById('excess-cash-line-input').value) / 100,
+        overdraftLine: Number(document.getElementById('overdraft-line-input').value) / 100
+    };
 }
 
-// Place block on the board
-function placeBlock(block) {
-    const shape = block.getRotatedShape();
-    let hasExcessCashBlocks = false;
-    let hasOverdraftBlocks = false;
-    
-    for (let row = 0; row < shape.length; row++) {
-        for (let col = 0; col < shape[row].length; col++) {
-            if (shape[row][col]) {
-                const boardRow = Math.floor((block.y + row * CELL_SIZE) / CELL_SIZE);
-                const boardCol = block.x + col;
-                const blockY = block.y + row * CELL_SIZE;
-                
-                if (boardRow >= 0 && boardRow < ROWS) {
-                    if (!stackedBlocks[boardRow]) {
-                        stackedBlocks[boardRow] = [];
-                    }
-                    stackedBlocks[boardRow][boardCol] = {
-                        type: block.type
-                    };
-                    
-                    // Check if block is outside safe zone
-                    // Blocks must be BELOW the excess cash line (top) and ABOVE the overdraft line (bottom)
-                    if (blockY < EXCESS_CASH_Y) {
-                        // Block is above the excess cash line (too high)
-                        hasExcessCashBlocks = true;
-                    }
-                    if (blockY > OVERDRAFT_Y && blocksPlaced >= gracePeriodBlocks) {
-                        // Block is below the overdraft line (too low)
-                        hasOverdraftBlocks = true;
-                    }
-                }
-            }
+// Fill the board settings from URL parameters, e.g. ?cols=8&rows=16&excess=25&overdraft=75&bands=monthEnd
+function loadBoardSettingsFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const inputs = {
+        cols: 'cols-input',
+        rows: 'rows-input',
+        excess: 'excess-cash-line-input',
+        overdraft: 'overdraft-line-input',
+        bands: 'band-scenario-select'
+    };
+    Object.keys(inputs).forEach(param => {
+        if (params.has(param)) {
+            document.getElementById(inputs[param]).value = params.get(param);
         }
+    });
+}
+
+// Preview the board from the settings while no game or replay is on screen
+function previewBoardSettings() {
+    if (gameRunning || replayPlayer) return;
+    try {
+        setBoard(LiquidityEngine.createBoardGeometry(getBoardOptions()));
+    } catch (e) {
+        return; // keep the last valid board until the settings make sense again
     }
+    gameState = null;
+    draw();
+}
 
-    blocksPlaced++;
+// Draw where the lines are about to move to, with a countdown
+function drawBandMoveWarning(context, geometry, state) {
+    if (state.bandMove === null) return;
     
-    // Clear solid layers anywhere on the board (if any)
-    clearSolidLayers();
+    const seconds = Math.ceil(state.bandMove.remaining / 1000);
+    const alpha = reducedMotion ? 1 : 0.5 + 0.5 * (Math.sin(state.time / 150) + 1) / 2;
+    const lines = [
+        { from: state.bands.excessCashY, to: state.bandMove.excessCashY, color: `rgba(${palette.bands.excessCash}, ${alpha})` },
+        { from: state.bands.overdraftY, to: state.bandMove.overdraftY, color: `rgba(${palette.bands.overdraft}, ${alpha})` }
+    ];
     
-    // Check if there's still a solid layer above overdraft line after clearing
-    hasSolidLayerAboveOverdraft = checkSolidLayerAboveOverdraft();
+    context.lineWidth = 2;
+    context.setLineDash([8, 6]);
+    context.font = 'bold 12px sans-serif';
+    context.textAlign = 'right';
+    context.textBaseline = 'bottom';
+    for (const line of lines) {
+        if (line.to === line.from) continue;
+        
+        context.strokeStyle = line.color;
+        context.beginPath();
+        context.moveTo(0, line.to);
+        context.lineTo(geometry.width, line.to);
+        context.stroke();
+        
+        context.fillStyle = line.color;
+        context.fillText(`${line.to < line.from ? '▲' : '▼'} ${seconds}s`, geometry.width - 6, line.to - 4);
+    }
+    context.setLineDash([]);
 }
 
-// Check if there's a solid layer above the overdraft line (just check, don't clear)
-function checkSolidLayerAboveOverdraft() {
-    const overdraftRow = Math.floor(OVERDRAFT_Y / CELL_SIZE);
-    
-    // Check if there's at least one complete row above the overdraft line
-    for (let row = 0; row < overdraftRow; row++) {
-        if (stackedBlocks[row]) {
-            // Check if this row is solid (all columns filled)
-            let isSolid = true;
-            for (let col = 0; col < COLS; col++) {
-                if (!stackedBlocks[row][col]) {
-                    isSolid = false;
-                    break;
-                }
-            }
-            if (isSolid) {
-                return true;
+// Draw dollar bill block (used for the falling piece and the preview, the stack is drawn by the renderer)
+function drawDollarBillBlock(context, x, y, type, size = CELL_SIZE) {
+    // Inflow bills are green, outflow bills are red (in the standard palette)
+    LiquidityRenderer.drawCell(context, palette.cells[type], x, y, size);
+}
+
+// Draw falling piece
+function drawPiece(context, piece) {
+    for (let row = 0; row < piece.shape.length; row++) {
+        for (let col = 0; col < piece.shape[row].length; col++) {
+            if (piece.shape[row][col]) {
+                const x = (piece.x + col) * CELL_SIZE;
+                const y = piece.y + row * CELL_SIZE;
+                
+                // Draw dollar bill instead of colored block
+                drawDollarBillBlock(context, x, y, piece.type);
             }
         }
     }
-    return false;
 }
 
-// Find solid rows and start clearing animation
-function clearSolidLayers() {
-    const rowsToClear = [];
+// Draw translucent outline of where the falling piece will land
+function drawGhostPiece(context, piece) {
+    if (piece.landingY === piece.y) return;
     
-    // Find all solid rows (complete rows) anywhere on the board
-    for (let row = 0; row < ROWS; row++) {
-        if (stackedBlocks[row]) {
-            // Check if this row is solid (all columns filled)
-            let isSolid = true;
-            for (let col = 0; col < COLS; col++) {
-                if (!stackedBlocks[row][col]) {
-                    isSolid = false;
-                    break;
-                }
-            }
-            if (isSolid) {
-                rowsToClear.push(row);
+    context.fillStyle = 'rgba(255, 255, 255, 0.08)';
+    context.strokeStyle = palette.cells[piece.type].base;
+    context.globalAlpha = 0.6;
+    context.lineWidth = 2;
+    context.setLineDash([4, 3]);
+    for (let row = 0; row < piece.shape.length; row++) {
+        for (let col = 0; col < piece.shape[row].length; col++) {
+            if (piece.shape[row][col]) {
+                const x = (piece.x + col) * CELL_SIZE;
+                const y = piece.landingY + row * CELL_SIZE;
+                context.fillRect(x + 1, y + 1, CELL_SIZE - 2, CELL_SIZE - 2);
+                context.strokeRect(x + 2, y + 2, CELL_SIZE - 4, CELL_SIZE - 4);
             }
         }
     }
-    
-    // If there are rows to clear, start the animation
-    if (rowsToClear.length > 0 && clearingAnimation === null) {
-        clearingAnimation = {
-            rows: rowsToClear,
-            startTime: Date.now()
-        };
-    }
+    context.setLineDash([]);
+    context.globalAlpha = 1;
 }
 
-// Actually clear the rows and shift blocks down (called after animation)
-function performLineClearing(rowsToClear) {
-    if (rowsToClear.length === 0) return;
-    
-    // Sort cleared rows from bottom to top (highest row number first)
-    rowsToClear.sort((a, b) => b - a);
-    
-    // Remove all cleared rows first
-    for (let clearedRow of rowsToClear) {
-        delete stackedBlocks[clearedRow];
+// Highlight where the bot would land the falling piece
+function drawHint(context, state) {
+    // A held piece swaps the falling one without placing a block, and the bands count towards the bot's choice
+    const key = [state.blocksPlaced, state.canHold, state.stackVersion, state.bands.excessCashY, state.bands.overdraftY].join('/');
+    if (!hint || hint.key !== key) {
+        hint = { key: key, placement: LiquidityBot.findBestPlacement(state) };
     }
+    const placement = hint.placement;
+    if (!placement) return;
     
-    // Now shift all remaining rows down to fill gaps
-    const newStackedBlocks = {};
-    
-    // Copy all rows that aren't being cleared, shifting them down
-    // Count how many rows have been cleared below each position
-    for (let sourceRow = 0; sourceRow < ROWS; sourceRow++) {
-        if (stackedBlocks[sourceRow] && !rowsToClear.includes(sourceRow)) {
-            // Count how many cleared rows are below this row
-            let rowsClearedBelow = 0;
-            for (let clearedRow of rowsToClear) {
-                if (clearedRow > sourceRow) {
-                    rowsClearedBelow++;
-                }
-            }
-            
-            // Move this row down by the number of cleared rows below it
-            const targetRow = sourceRow + rowsClearedBelow;
-            if (targetRow < ROWS) {
-                newStackedBlocks[targetRow] = [...stackedBlocks[sourceRow]];
+    context.strokeStyle = '#ffeb3b';
+    context.fillStyle = 'rgba(255, 235, 59, 0.2)';
+    context.lineWidth = 3;
+    for (let row = 0; row < placement.shape.length; row++) {
+        for (let col = 0; col < placement.shape[row].length; col++) {
+            if (placement.shape[row][col]) {
+                const x = (placement.x + col) * CELL_SIZE;
+                const y = placement.y + row * CELL_SIZE;
+                context.fillRect(x, y, CELL_SIZE, CELL_SIZE);
+                context.strokeRect(x + 1.5, y + 1.5, CELL_SIZE - 3, CELL_SIZE - 3);
             }
         }
     }
-    
-    // Replace stackedBlocks with the new arrangement
-    // First, clear everything
-    for (let row = 0; row < ROWS; row++) {
-        delete stackedBlocks[row];
-    }
-    
-    // Then copy back the new arrangement
-    for (let row = 0; row < ROWS; row++) {
-        if (newStackedBlocks[row]) {
-            stackedBlocks[row] = newStackedBlocks[row];
-        }
-    }
 }
 
 // Draw line clearing animation
-function drawLineClearingAnimation() {
-    if (clearingAnimation === null) return;
-    
-    const elapsed = Date.now() - clearingAnimation.startTime;
-    const progress = elapsed / CLEARING_ANIMATION_DURATION;
+function drawLineClearingAnimation(context, geometry, state) {
+    if (state.clearingAnimation === null) return;
     
-    if (progress >= 1.0) {
-        // Animation complete, actually clear the rows
-        performLineClearing(clearingAnimation.rows);
-        clearingAnimation = null;
+    // Reduced motion: a steady highlight with an outline instead of the flash
+    if (reducedMotion) {
+        context.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        context.strokeStyle = '#fff';
+        context.lineWidth = 2;
+        for (let row of state.clearingAnimation.rows) {
+            const y = row * CELL_SIZE;
+            context.fillRect(0, y, geometry.width, CELL_SIZE);
+            context.strokeRect(1, y + 1, geometry.width - 2, CELL_SIZE - 2);
+        }
         return;
     }
     
+    const progress = state.clearingAnimation.progress;
+    
     // Draw flashing effect on rows being cleared
     // Flash intensity based on progress (faster at end)
     const flashIntensity = Math.abs(Math.sin(progress * Math.PI * 10)) * (1 - progress * 0.5);
     
-    ctx.fillStyle = `rgba(255, 255, 255, ${0.5 * flashIntensity})`;
+    context.fillStyle = `rgba(255, 255, 255, ${0.5 * flashIntensity})`;
     
-    for (let row of clearingAnimation.rows) {
+    for (let row of state.clearingAnimation.rows) {
         const y = row * CELL_SIZE;
-        ctx.fillRect(0, y, BOARD_WIDTH, CELL_SIZE);
+        context.fillRect(0, y, geometry.width, CELL_SIZE);
     }
 }
 
-// Get the top block position (lowest Y value of stacked blocks only - not falling piece)
-function getTopBlockPosition() {
-    let topY = BOARD_HEIGHT; // Start at bottom, work up
+// Draw a piece centered in a preview slot of a side panel canvas
+function drawPreviewPiece(context, piece, slotIndex) {
+    const width = piece.shape[0].length * PREVIEW_CELL_SIZE;
+    const height = piece.shape.length * PREVIEW_CELL_SIZE;
+    const canvasWidth = context.canvas.width / context.getTransform().a; // in CSS pixels, see fitCanvas()
+    const offsetX = (canvasWidth - width) / 2;
+    const offsetY = slotIndex * PREVIEW_SLOT_HEIGHT + (PREVIEW_SLOT_HEIGHT - height) / 2;
     
-    // Only check stacked blocks, not the current falling piece
-    for (let row = 0; row < ROWS; row++) {
-        if (stackedBlocks[row]) {
-            for (let col = 0; col < COLS; col++) {
-                if (stackedBlocks[row][col]) {
-                    const y = row * CELL_SIZE;
-                    if (y < topY) {
-                        topY = y;
-                    }
-                }
+    for (let row = 0; row < piece.shape.length; row++) {
+        for (let col = 0; col < piece.shape[row].length; col++) {
+            if (piece.shape[row][col]) {
+                const x = offsetX + col * PREVIEW_CELL_SIZE;
+                const y = offsetY + row * PREVIEW_CELL_SIZE;
+                drawDollarBillBlock(context, x, y, piece.type, PREVIEW_CELL_SIZE);
             }
         }
     }
+}
+
+// Draw the upcoming pieces in the side panel preview, each in its own slot
+function drawNextPieces(state) {
+    nextCtx.clearRect(0, 0, nextCanvas.width, nextCanvas.height);
     
-    return topY === BOARD_HEIGHT ? null : topY;
-}
-
-// Check if piece should stop falling
-function shouldStopPiece(block) {
-    return block.checkCollision(0, CELL_SIZE);
+    state.nextPieces.forEach((piece, index) => {
+        drawPreviewPiece(nextCtx, piece, index);
+    });
 }
 
-// Draw two bands (overdraft and excess cash)
-function drawBands() {
-    // Draw safe zone (between the two lines)
-    const safeGradient = ctx.createLinearGradient(0, EXCESS_CASH_Y, 0, OVERDRAFT_Y);
-    safeGradient.addColorStop(0, 'rgba(76, 175, 80, 0.15)');
-    safeGradient.addColorStop(0.5, 'rgba(76, 175, 80, 0.25)');
-    safeGradient.addColorStop(1, 'rgba(76, 175, 80, 0.15)');
-    
-    ctx.fillStyle = safeGradient;
-    ctx.fillRect(0, EXCESS_CASH_Y, BOARD_WIDTH, OVERDRAFT_Y - EXCESS_CASH_Y);
-    
-    // Draw excess cash zone (top - above safe zone)
-    const excessGradient = ctx.createLinearGradient(0, 0, 0, EXCESS_CASH_Y);
-    excessGradient.addColorStop(0, 'rgba(255, 152, 0, 0.2)');
-    excessGradient.addColorStop(1, 'rgba(255, 152, 0, 0.1)');
-    
-    ctx.fillStyle = excessGradient;
-    ctx.fillRect(0, 0, BOARD_WIDTH, EXCESS_CASH_Y);
-    
-    // Draw overdraft zone (bottom - below safe zone)
-    const overdraftGradient = ctx.createLinearGradient(0, OVERDRAFT_Y, 0, BOARD_HEIGHT);
-    overdraftGradient.addColorStop(0, 'rgba(244, 67, 54, 0.1)');
-    overdraftGradient.addColorStop(1, 'rgba(244, 67, 54, 0.2)');
-    
-    ctx.fillStyle = overdraftGradient;
-    ctx.fillRect(0, OVERDRAFT_Y, BOARD_WIDTH, BOARD_HEIGHT - OVERDRAFT_Y);
-    
-    // Draw excess cash line (top)
-    ctx.strokeStyle = '#ff9800';
-    ctx.lineWidth = 3;
-    ctx.beginPath();
-    ctx.moveTo(0, EXCESS_CASH_Y);
-    ctx.lineTo(BOARD_WIDTH, EXCESS_CASH_Y);
-    ctx.stroke();
-    
-    // Draw overdraft line (bottom)
-    ctx.strokeStyle = '#f44336';
-    ctx.lineWidth = 3;
-    ctx.beginPath();
-    ctx.moveTo(0, OVERDRAFT_Y);
-    ctx.lineTo(BOARD_WIDTH, OVERDRAFT_Y);
-    ctx.stroke();
-    
-    // Draw labels
-    ctx.fillStyle = '#fff';
-    ctx.font = 'bold 14px sans-serif';
-    ctx.textAlign = 'center';
-    
-    // Excess Cash label at top
-    ctx.fillText('EXCESS CASH', BOARD_WIDTH / 2, EXCESS_CASH_Y - 8);
-    
-    // Overdraft label at bottom
-    ctx.fillText('OVERDRAFT', BOARD_WIDTH / 2, OVERDRAFT_Y + 20);
-}
-
-// Draw dollar bill block (helper function for stacked blocks)
-function drawDollarBillBlock(x, y) {
-    // Base green color (dollar bill green)
-    const baseColor = '#c9e7c5';
-    const darkGreen = '#87c87a';
-    const borderColor = '#5a8a4f';
-    
-    // Draw base rectangle with gradient (dollar bill color)
-    const gradient = ctx.createLinearGradient(x, y, x + CELL_SIZE, y + CELL_SIZE);
-    gradient.addColorStop(0, baseColor);
-    gradient.addColorStop(0.5, '#b5d9b0');
-    gradient.addColorStop(1, darkGreen);
-    
-    ctx.fillStyle = gradient;
-    ctx.fillRect(x + 1, y + 1, CELL_SIZE - 2, CELL_SIZE - 2);
-    
-    // Draw border (dollar bill edge)
-    ctx.strokeStyle = borderColor;
-    ctx.lineWidth = 1.5;
-    ctx.strokeRect(x + 0.5, y + 0.5, CELL_SIZE - 1, CELL_SIZE - 1);
-    
-    // Add some dollar bill pattern/texture
-    ctx.strokeStyle = 'rgba(90, 138, 79, 0.3)';
-    ctx.lineWidth = 0.5;
-    
-    // Draw horizontal lines (bill texture)
-    for (let i = 0; i < 3; i++) {
-        const offsetY = y + 2 + (i * (CELL_SIZE - 4) / 2);
-        ctx.beginPath();
-        ctx.moveTo(x + 2, offsetY);
-        ctx.lineTo(x + CELL_SIZE - 2, offsetY);
-        ctx.stroke();
-    }
-    
-    // Draw dollar sign pattern
-    ctx.fillStyle = 'rgba(90, 138, 79, 0.4)';
-    ctx.font = `${CELL_SIZE * 0.5}px Arial`;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('$', x + CELL_SIZE / 2, y + CELL_SIZE / 2);
-}
-
-// Draw stacked blocks
-function drawStackedBlocks() {
-    for (let row = 0; row < ROWS; row++) {
-        if (stackedBlocks[row]) {
-            for (let col = 0; col < COLS; col++) {
-                if (stackedBlocks[row][col]) {
-                    const x = col * CELL_SIZE;
-                    const y = row * CELL_SIZE;
-                    
-                    // Draw dollar bill instead of colored block
-                    drawDollarBillBlock(x, y);
-                }
-            }
-        }
+// Draw the held piece, dimmed while hold can't be used again
+function drawHeldPiece(state) {
+    holdCtx.clearRect(0, 0, holdCanvas.width, holdCanvas.height);
+    
+    if (state.heldPiece) {
+        holdCtx.globalAlpha = state.canHold ? 1 : 0.4;
+        drawPreviewPiece(holdCtx, state.heldPiece, 0);
+        holdCtx.globalAlpha = 1;
     }
 }
 
-// Update balance display (shows blocks placed count instead)
-function updateBalanceDisplay() {
+// Format a cash amount for display, e.g. -$1,200
+function formatCash(amount) {
+    const sign = amount < 0 ? '-' : '';
+    return sign + '$' + Math.abs(amount).toLocaleString('en-US');
+}
+
+// Update balance display (cash balance and blocks placed count)
+function updateBalanceDisplay(state) {
     const balanceElement = document.getElementById('balance');
-    balanceElement.textContent = blocksPlaced;
+    balanceElement.textContent = formatCash(state.balance);
+    balanceElement.classList.toggle('out-of-range', state.useBalanceRules && !state.isBalanceInSafeZone);
+    document.getElementById('blocks').textContent = state.blocksPlaced;
+}
+
+// Update score display
+function updateScoreDisplay(state) {
+    document.getElementById('score').textContent = state.score.total.toLocaleString('en-US');
+}
+
+// Fill in the score breakdown on the game over screen
+function showScoreBreakdown(score) {
+    const format = (points) => points.toLocaleString('en-US');
+    document.getElementById('final-line-clears').textContent = format(score.lineClears);
+    document.getElementById('final-combos').textContent = format(score.combos);
+    document.getElementById('final-safe-zone').textContent = format(score.safeZone);
+    document.getElementById('final-warning-penalty').textContent = score.warningPenalty > 0 ? `-${format(score.warningPenalty)}` : '0';
+    document.getElementById('final-score').textContent = format(score.total);
+}
+
+// Update level display and progress towards the next level
+function updateLevelDisplay(state) {
+    document.getElementById('level').textContent = state.level;
+    document.getElementById('level-progress-bar').style.width = `${Math.round(state.levelProgress * 100)}%`;
 }
 
 // Update timer display in side panel
-function updateTimerDisplay() {
+function updateTimerDisplay(state) {
     const timerWarningDiv = document.getElementById('timer-warning');
     const timerCountdownSpan = document.getElementById('timer-countdown');
     
-    if (warningTimer === null) {
+    if (state.warningRemaining === null) {
         timerWarningDiv.classList.add('hidden');
         return;
     }
     
-    const now = Date.now();
-    const remaining = Math.max(0, warningTimer - now);
-    const seconds = Math.ceil(remaining / 1000);
+    const seconds = Math.ceil(state.warningRemaining / 1000);
     
     // Show timer warning
     timerWarningDiv.classList.remove('hidden');
     timerCountdownSpan.textContent = seconds;
 }
 
+// Show the countdown to the next band move in the side panel
+function updateBandMoveDisplay(state) {
+    const bandWarningDiv = document.getElementById('band-warning');
+    if (state.bandMove === null) {
+        bandWarningDiv.classList.add('hidden');
+        return;
+    }
+    bandWarningDiv.classList.remove('hidden');
+    document.getElementById('band-countdown').textContent = Math.ceil(state.bandMove.remaining / 1000);
+}
+
 // Draw timer warning on canvas
-function drawTimerWarning() {
-    if (warningTimer === null) return;
+function drawTimerWarning(context, geometry, state) {
+    if (state.warningRemaining === null) return;
     
-    const now = Date.now();
-    const remaining = Math.max(0, warningTimer - now);
-    const seconds = Math.ceil(remaining / 1000);
+    const seconds = Math.ceil(state.warningRemaining / 1000);
     
-    // Draw warning overlay with pulsing effect
-    const pulseIntensity = 0.2 + (0.3 * (Math.sin(Date.now() / 200) + 1) / 2);
-    ctx.fillStyle = `rgba(244, 67, 54, ${pulseIntensity})`;
-    ctx.fillRect(0, 0, BOARD_WIDTH, BOARD_HEIGHT);
+    // Draw warning overlay with pulsing effect (a steady tint and frame with reduced motion)
+    if (reducedMotion) {
+        context.fillStyle = `rgba(${palette.bands.overdraft}, 0.2)`;
+        context.fillRect(0, 0, geometry.width, geometry.height);
+        context.strokeStyle = `rgb(${palette.bands.overdraft})`;
+        context.lineWidth = 8;
+        context.strokeRect(4, 4, geometry.width - 8, geometry.height - 8);
+    } else {
+        const pulseIntensity = 0.2 + (0.3 * (Math.sin(state.time / 200) + 1) / 2);
+        context.fillStyle = `rgba(${palette.bands.overdraft}, ${pulseIntensity})`;
+        context.fillRect(0, 0, geometry.width, geometry.height);
+    }
     
     // Draw timer text with larger, more visible font
-    ctx.fillStyle = '#fff';
-    ctx.font = 'bold 72px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.strokeStyle = '#ff0000';
-    ctx.lineWidth = 4;
+    context.fillStyle = '#fff';
+    context.font = 'bold 72px sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.strokeStyle = '#ff0000';
+    context.lineWidth = 4;
     
     // Draw text with stroke for better visibility
     const timerText = seconds.toString();
-    ctx.strokeText(timerText, BOARD_WIDTH / 2, BOARD_HEIGHT / 2);
-    ctx.fillText(timerText, BOARD_WIDTH / 2, BOARD_HEIGHT / 2);
+    context.strokeText(timerText, geometry.width / 2, geometry.height / 2);
+    context.fillText(timerText, geometry.width / 2, geometry.height / 2);
     
     // Draw warning text
-    ctx.font = 'bold 24px sans-serif';
-    ctx.fillStyle = '#ffeb3b';
-    ctx.strokeStyle = '#000';
-    ctx.lineWidth = 3;
-    ctx.strokeText('WARNING!', BOARD_WIDTH / 2, BOARD_HEIGHT / 2 - 60);
-    ctx.fillText('WARNING!', BOARD_WIDTH / 2, BOARD_HEIGHT / 2 - 60);
+    context.font = 'bold 24px sans-serif';
+    context.fillStyle = '#ffeb3b';
+    context.strokeStyle = '#000';
+    context.lineWidth = 3;
+    context.strokeText('WARNING!', geometry.width / 2, geometry.height / 2 - 60);
+    context.fillText('WARNING!', geometry.width / 2, geometry.height / 2 - 60);
 }
 
-// Update time display
-function updateTimeDisplay() {
-    if (gameRunning) {
-        const elapsed = Math.floor((Date.now() - gameStartTime) / 1000);
-        document.getElementById('time').textContent = elapsed;
+// Draw paused overlay on canvas
+function drawPausedOverlay(context, geometry) {
+    context.fillStyle = 'rgba(26, 26, 46, 0.8)';
+    context.fillRect(0, 0, geometry.width, geometry.height);
+    
+    context.fillStyle = '#fff';
+    context.font = 'bold 36px sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText('PAUSED', geometry.width / 2, geometry.height / 2);
+    
+    const pauseKeys = keyBindings.getKeys(LiquidityInput.PAUSE_ACTION);
+    if (pauseKeys.length > 0) {
+        context.font = '16px sans-serif';
+        context.fillText(`Press ${LiquidityKeyBindings.getKeyName(pauseKeys[0])} to resume`, geometry.width / 2, geometry.height / 2 + 40);
     }
 }
 
-// Draw everything
-function draw() {
-    // Clear canvas
-    ctx.fillStyle = '#1a1a2e';
-    ctx.fillRect(0, 0, BOARD_WIDTH, BOARD_HEIGHT);
+// Update time display
+function updateTimeDisplay(state) {
+    const elapsed = Math.floor(state.time / 1000);
+    document.getElementById('time').textContent = elapsed;
+}
 
-    // Draw bands (overdraft and excess cash)
-    drawBands();
+// Draw a board and a game state on it with a board renderer
+// options.hint: highlight where the bot would land the falling piece
+function drawBoard(renderer, geometry, state, options = {}) {
+    // Picks up a new pixel ratio if the page was zoomed
+    const context = renderer.resize(geometry);
 
-    // Draw stacked blocks
-    drawStackedBlocks();
+    // Draw the background and bands (overdraft and excess cash), where they are right now
+    renderer.drawBackground(state ? state.bands : geometry, palette);
+
+    if (!state) return;
+
+    // Draw stacked blocks, repainted only when the stack has changed
+    renderer.drawStack(state.stackedBlocks, state.stackVersion, palette, CELL_SIZE);
     
     // Draw line clearing animation (overlays on blocks being cleared)
-    drawLineClearingAnimation();
+    drawLineClearingAnimation(context, geometry, state);
 
-    // Draw current falling piece
-    if (currentPiece) {
-        currentPiece.draw();
+    // Draw landing ghost and current falling piece
+    if (state.currentPiece) {
+        if (options.hint && !state.gameOver) {
+            drawHint(context, state);
+        }
+        drawGhostPiece(context, state.currentPiece);
+        drawPiece(context, state.currentPiece);
     }
     
-    // Draw timer warning if active
-    drawTimerWarning();
+    // Draw upcoming band move and timer warning if active
+    drawBandMoveWarning(context, geometry, state);
+    drawTimerWarning(context, geometry, state);
+    
+    // Draw paused overlay on top of everything
+    if (state.paused) {
+        drawPausedOverlay(context, geometry);
+    }
+}
+
+// Draw everything
+function draw() {
+    drawBoard(boardRenderer, board, gameState, { hint: showHint && !autoplayer && !replayPlayer && !versusMatch });
+}
+
+// Update the side panel from the latest engine state
+function updateHud() {
+    updateScoreDisplay(gameState);
+    updateTimeDisplay(gameState);
+    updateBalanceDisplay(gameState);
+    updateLevelDisplay(gameState);
+    updateTimerDisplay(gameState);
+    updateBandMoveDisplay(gameState);
+    updateScenarioDisplay(gameState);
+    pluginManager.update(gameState);
+    drawNextPieces(gameState);
+    drawHeldPiece(gameState);
 }
 
 // Game loop
@@ -633,103 +515,616 @@ function gameLoop(time = 0) {
     const deltaTime = time - lastTime;
     lastTime = time;
 
-    // Drop piece periodically (faster if down arrow is held)
-    dropTime += deltaTime;
-    const normalDropInterval = 500; // milliseconds
-    const fastDropInterval = 50; // milliseconds when down arrow is pressed
-    const dropInterval = keys['ArrowDown'] ? fastDropInterval : normalDropInterval;
-
-    if (dropTime >= dropInterval) {
-        if (currentPiece) {
-            if (shouldStopPiece(currentPiece)) {
-                placeBlock(currentPiece);
-                currentPiece = createNewPiece();
-                
-                // Check if new piece collides immediately (game over condition)
-                if (shouldStopPiece(currentPiece)) {
-                    endGame('Stack Too High!');
-                    return;
-                }
-            } else {
-                currentPiece.y += CELL_SIZE;
-            }
+    // Read gamepads and auto-repeat held directions before the engine moves on
+    gamepadPoller.poll();
+    inputController.update(deltaTime);
+    
+    // In a demo the bot takes its turn with the same inputs a player has
+    if (autoplayer) {
+        const action = autoplayer.nextAction(gameState, deltaTime);
+        if (action) {
+            engine.applyInput(action);
         }
-        dropTime = 0;
     }
 
-    // Check if there's a solid layer above overdraft line (for timer activation)
-    hasSolidLayerAboveOverdraft = checkSolidLayerAboveOverdraft();
+    // Let the engine run the rules for the time that has passed
+    engine.step(deltaTime);
+    gameState = engine.getState();
+    telemetry.record(gameState);
+    audio.update(gameState);
+
+    updateHud();
+    draw();
+
+    if (gameState.gameOver) {
+        endGame(gameState.endReason);
+        return;
+    }
+
+    requestAnimationFrame(gameLoop);
+}
+
+// Mode of the game the current settings would start, high scores are kept per mode
+function getSelectedMode() {
+    if (currentScenario) {
+        return { key: `scenario/${currentScenario.id}`, label: `Level: ${currentScenario.name}` };
+    }
+    
+    const randomizerSelect = document.getElementById('randomizer-select');
+    const levelBySelect = document.getElementById('level-by-select');
+    const mode = {
+        key: `${levelBySelect.value}/${randomizerSelect.value}`,
+        label: `${levelBySelect.selectedOptions[0].textContent}, ${randomizerSelect.selectedOptions[0].textContent}`
+    };
     
-    // Timer logic: check timer expiration first (even if solid layer is gone)
-    if (warningTimer !== null) {
-        const now = Date.now();
-        if (now >= warningTimer) {
-            endGame('Time Limit Exceeded!');
+    // Moving bands and custom boards get their own tables, the defaults keep the original keys
+    const bandScenarioSelect = document.getElementById('band-scenario-select');
+    if (bandScenarioSelect.value !== 'static') {
+        mode.key += `/bands-${bandScenarioSelect.value}`;
+        mode.label += `, ${bandScenarioSelect.selectedOptions[0].textContent}`;
+    }
+    if (document.getElementById('balance-rules-toggle').checked) {
+        mode.key += '/balance';
+        mode.label += ', balance rules';
+    }
+    
+    let geometry;
+    try {
+        geometry = LiquidityEngine.createBoardGeometry(getBoardOptions());
+    } catch (e) {
+        return mode;
+    }
+    const defaults = LiquidityEngine.createBoardGeometry();
+    if (geometry.cols !== defaults.cols || geometry.rows !== defaults.rows ||
+        geometry.overdraftY !== defaults.overdraftY || geometry.excessCashY !== defaults.excessCashY) {
+        const excessRow = geometry.excessCashY / CELL_SIZE;
+        const overdraftRow = geometry.overdraftY / CELL_SIZE;
+        mode.key += `/${geometry.cols}x${geometry.rows}/${excessRow}-${overdraftRow}`;
+        mode.label += `, ${geometry.cols}x${geometry.rows} board`;
+    }
+    return mode;
+}
+
+// Fill a high score table with the entries for a mode, highlighting one row
+function renderHighScoreTable(table, mode, highlightIndex = -1) {
+    const entries = leaderboard.getEntries(mode.key);
+    table.innerHTML = '';
+    
+    if (entries.length === 0) {
+        const row = table.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 6;
+        cell.className = 'high-score-empty';
+        cell.textContent = 'No scores yet';
+        return;
+    }
+    
+    const header = table.createTHead().insertRow();
+    ['#', 'Name', 'Score', 'Time', 'Blocks', 'Result'].forEach(title => {
+        const th = document.createElement('th');
+        th.textContent = title;
+        header.appendChild(th);
+    });
+    
+    const body = table.createTBody();
+    entries.forEach((entry, index) => {
+        const row = body.insertRow();
+        if (index === highlightIndex) {
+            row.className = 'high-score-highlight';
+        }
+        [index + 1, entry.name, entry.score.toLocaleString('en-US'), `${entry.timeSurvived}s`, entry.blocksPlaced, entry.endReason]
+            .forEach(value => {
+                row.insertCell().textContent = value;
+            });
+    });
+}
+
+// Update the high score list in the side panel for the currently selected mode
+function updateHighScoresPanel() {
+    const mode = getSelectedMode();
+    document.getElementById('high-scores-mode').textContent = mode.label;
+    renderHighScoreTable(document.getElementById('side-high-scores'), mode);
+}
+
+// Show the high scores on the game over screen, asking for a name if the result made the table
+function showGameOverHighScores(message) {
+    const entryDiv = document.getElementById('high-score-entry');
+    document.getElementById('game-over-mode').textContent = gameMode.label;
+    
+    pendingHighScore = {
+        score: gameState.score.total,
+        timeSurvived: Math.floor(gameState.time / 1000),
+        blocksPlaced: gameState.blocksPlaced,
+        endReason: message
+    };
+    
+    // Demo games are the bot's, not the player's
+    if (!autoplayer && leaderboard.qualifies(gameMode.key, pendingHighScore.score)) {
+        const nameInput = document.getElementById('player-name');
+        nameInput.value = localStorage.getItem(PLAYER_NAME_KEY) || '';
+        entryDiv.classList.remove('hidden');
+        nameInput.focus();
+    } else {
+        pendingHighScore = null;
+        entryDiv.classList.add('hidden');
+    }
+    
+    renderHighScoreTable(document.getElementById('game-over-high-scores'), gameMode);
+}
+
+// Save the pending result under the entered name
+function saveHighScore() {
+    if (!pendingHighScore) return;
+    
+    const name = document.getElementById('player-name').value.trim();
+    localStorage.setItem(PLAYER_NAME_KEY, name);
+    const rank = leaderboard.addEntry(gameMode.key, Object.assign({ name: name }, pendingHighScore));
+    pendingHighScore = null;
+    
+    document.getElementById('high-score-entry').classList.add('hidden');
+    renderHighScoreTable(document.getElementById('game-over-high-scores'), gameMode, rank);
+    updateHighScoresPanel();
+}
+
+// Pause or resume the running game
+function setPaused(paused) {
+    if (!gameRunning) return;
+    
+    // Key and button releases can be missed while paused, so let go of everything
+    if (paused) {
+        inputController.releaseAll();
+    }
+    engine.setPaused(paused);
+    gameState = engine.getState();
+    if (paused) {
+        saveGame();
+    }
+    document.getElementById('pause-btn').textContent = paused ? 'Resume' : 'Pause';
+    draw();
+}
+
+function togglePause() {
+    if (gameRunning) {
+        setPaused(!gameState.paused);
+    }
+}
+
+// Format a number of engine ticks as m:ss
+function formatTicks(ticks) {
+    const seconds = Math.floor(ticks * TICK_DURATION / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Save a recording as a JSON file
+function downloadRecording(recording) {
+    downloadFile(JSON.stringify(recording), `liquidity-rush-replay-${recording.settings.seed}.json`, 'application/json');
+}
+
+// Save text as a file through a temporary download link
+function downloadFile(contents, fileName, type) {
+    const blob = new Blob([contents], { type: type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+}
+
+// Fill the stats table on the dashboard from the telemetry summary
+function renderDashboardSummary(summary) {
+    const formatRatio = ratio => ratio === null ? '—' : ratio.toFixed(2);
+    const rows = [
+        ['Time survived', `${Math.floor(summary.duration / 1000)}s`],
+        ['Score', summary.score !== null ? summary.score.toLocaleString() : '—'],
+        ['Blocks placed', summary.blocksPlaced],
+        ['Rows cleared', summary.rowsCleared],
+        ['Inflow / outflow pieces', `${summary.inflowPieces} / ${summary.outflowPieces} (${formatRatio(summary.inflowOutflowRatio)})`],
+        ['Cash in / out', `${formatCash(summary.inflowAmount)} / ${formatCash(summary.outflowAmount)}`],
+        ['Highest stack', `${summary.maxStackHeight} rows`],
+        ['Average stack', `${summary.averageStackHeight.toFixed(1)} rows`],
+        ['Time in safe zone', `${Math.round(summary.safeZoneShare * 100)}%`],
+        ['Warnings (cancelled)', `${summary.warnings} (${summary.warningsCancelled})`],
+        ['Time under warning', `${(summary.warningTime / 1000).toFixed(1)}s`]
+    ];
+    if (botBenchmark) {
+        rows.push(['Bot with the same pieces', `${Math.floor(botBenchmark.time / 1000)}s, ${botBenchmark.score.toLocaleString()} points`]);
+    } else if (botBenchmarkTimer !== null) {
+        rows.push(['Bot with the same pieces', 'Playing…']);
+    }
+    
+    const table = document.getElementById('dashboard-summary');
+    table.innerHTML = '';
+    rows.forEach(([label, value]) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = label;
+        row.insertCell().textContent = value;
+    });
+}
+
+// Let the bot play a recorded game's pieces as a yardstick, a slice at a time so the page
+// stays responsive, and add its result to the dashboard once it's done
+function startBotBenchmark(recording) {
+    const benchmark = LiquidityBot.createBenchmark(recording.settings, { maxTime: BOT_BENCHMARK_MAX_TIME });
+    
+    function runSlice() {
+        const sliceEnd = performance.now() + BOT_BENCHMARK_SLICE;
+        let done = false;
+        while (!done && performance.now() < sliceEnd) {
+            done = benchmark.advance(100);
+        }
+        if (!done) {
+            botBenchmarkTimer = setTimeout(runSlice, 0);
             return;
         }
+        botBenchmarkTimer = null;
+        botBenchmark = benchmark.getResult();
+        renderDashboardSummary(telemetry.getData().summary);
     }
     
-    // Timer logic: only check after solid layer is established
-    if (hasSolidLayerAboveOverdraft) {
-        const topBlockY = getTopBlockPosition();
-        
-        if (topBlockY !== null) {
-            const isTopBlockBelowOverdraft = topBlockY > OVERDRAFT_Y;
-            const isTopBlockAboveExcessCash = topBlockY < EXCESS_CASH_Y;
-            const isTopBlockInSafeZone = topBlockY >= EXCESS_CASH_Y && topBlockY <= OVERDRAFT_Y;
-            
-            // Track if top block has been in safe zone (between the two lines) at rest
-            if (isTopBlockInSafeZone) {
-                hasTopBlockBeenInSafeZone = true;
-            }
-            
-            // Start timer if:
-            // 1. Top block has been in safe zone at rest before
-            // 2. Top block is now outside safe zone (below overdraft OR above excess cash)
-            if (hasTopBlockBeenInSafeZone && (isTopBlockBelowOverdraft || isTopBlockAboveExcessCash)) {
-                // Top block is outside safe zone - start timer if not already started
-                if (warningTimer === null) {
-                    warningTimer = Date.now() + WARNING_TIMER_DURATION;
-                }
-            } else if (isTopBlockInSafeZone) {
-                // Top block is back in safe zone - cancel timer
-                warningTimer = null;
+    botBenchmarkTimer = setTimeout(runSlice, 0);
+}
+
+function cancelBotBenchmark() {
+    clearTimeout(botBenchmarkTimer);
+    botBenchmarkTimer = null;
+    botBenchmark = null;
+}
+
+// Show the charts and summary for the last game
+function showDashboard() {
+    if (!telemetry) return;
+    
+    // Let the bot play the same game as a yardstick (a demo is already the bot's game)
+    if (!botBenchmark && botBenchmarkTimer === null && lastRecording && !autoplayer) {
+        startBotBenchmark(lastRecording);
+    }
+    
+    const data = telemetry.getData();
+    LiquidityDashboard.drawStackChart(document.getElementById('stack-chart'), data);
+    LiquidityDashboard.drawFlowChart(document.getElementById('flow-chart'), data);
+    renderDashboardSummary(data.summary);
+    document.getElementById('game-over').classList.add('hidden');
+    document.getElementById('dashboard').classList.remove('hidden');
+}
+
+// Back from the dashboard to the game over screen
+function hideDashboard() {
+    document.getElementById('dashboard').classList.add('hidden');
+    document.getElementById('game-over').classList.remove('hidden');
+}
+
+// Score, garbage and warning timer under a versus board
+function updateVersusHud(player, state) {
+    const n = player + 1;
+    document.getElementById(`versus-score-${n}`).textContent = state.score.total.toLocaleString();
+    document.getElementById(`versus-sent-${n}`).textContent = state.garbageSent;
+    document.getElementById(`versus-incoming-${n}`).textContent = state.pendingGarbage;
+    const warning = document.getElementById(`versus-warning-${n}`);
+    warning.classList.toggle('hidden', state.warningRemaining === null);
+    if (state.warningRemaining !== null) {
+        document.getElementById(`versus-countdown-${n}`).textContent = Math.ceil(state.warningRemaining / 1000);
+    }
+}
+
+// Name the winner and compare both players
+function showVersusResult(result) {
+    document.getElementById('versus-winner').textContent =
+        result.winner === null ? 'Draw!' : `Player ${result.winner + 1} Wins!`;
+    
+    const table = document.getElementById('versus-result-table');
+    table.innerHTML = '';
+    const header = table.insertRow();
+    ['', 'Player 1', 'Player 2'].forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        header.appendChild(cell);
+    });
+    [
+        ['Score', player => player.score.toLocaleString()],
+        ['Time', player => `${Math.floor(player.time / 1000)}s`],
+        ['Rows cleared', player => player.rowsCleared],
+        ['Garbage sent', player => player.garbageSent],
+        ['Blocks placed', player => player.blocksPlaced],
+        ['Result', player => player.endReason || 'Still standing']
+    ].forEach(([label, getValue]) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = label;
+        result.players.forEach(player => {
+            row.insertCell().textContent = getValue(player);
+        });
+    });
+    document.getElementById('versus-result').classList.remove('hidden');
+}
+
+// Keys in versus mode: each player's own keys, plus the usual pause key for both boards
+function handleVersusKey(e, pressed) {
+    for (let player = 0; player < versusKeyBindings.length; player++) {
+        const action = versusKeyBindings[player].getAction(e.key);
+        if (action) {
+            if (!pressed) {
+                versusInputs[player].release(action);
+            } else if (!e.repeat) {
+                versusInputs[player].press(action);
             }
+            e.preventDefault();
+            return;
         }
     }
+    if (pressed && !e.repeat && keyBindings.getAction(e.key) === LiquidityInput.PAUSE_ACTION) {
+        setVersusPaused(!versusPaused);
+        e.preventDefault();
+    }
+}
 
-    // Update time display
-    updateTimeDisplay();
+function setVersusPaused(paused) {
+    if (!versusMatch || versusMatch.getResult()) return;
+    if (paused) {
+        versusInputs.forEach(controller => controller.releaseAll());
+    }
+    versusPaused = paused;
+    versusMatch.setPaused(paused);
+}
+
+// Versus game loop, runs until the match has a winner
+function versusLoop(time = 0) {
+    if (!versusMatch) return;
+    
+    const deltaTime = time - versusLastTime;
+    versusLastTime = time;
+    
+    versusInputs.forEach(controller => controller.update(deltaTime));
+    versusMatch.step(deltaTime);
+    versusMatch.getStates().forEach((state, player) => {
+        drawBoard(versusRenderers[player], state.board, state);
+        updateVersusHud(player, state);
+    });
+    
+    const result = versusMatch.getResult();
+    if (result) {
+        showVersusResult(result);
+        return;
+    }
+    requestAnimationFrame(versusLoop);
+}
+
+// Start a versus match with the current settings (or scenario), both players get the same pieces
+function startVersus() {
+    let match;
+    try {
+        match = LiquidityVersus.createVersusMatch(Object.assign({
+            seed: Math.floor(Math.random() * 4294967296)
+        }, getGameOptions()));
+    } catch (e) {
+        alert(`Could not start versus: ${e.message}`);
+        return;
+    }
+    
+    // Set any single player game aside
+    exitReplay();
+    setPaused(true);
+    
+    versusMatch = match;
+    versusPaused = false;
+    const timing = inputController.getTiming();
+    versusInputs = versusKeyBindings.map((bindings, player) => LiquidityInput.createInputController({
+        dispatch: action => versusMatch.applyInput(player, action),
+        repeatable: [ACTIONS.MOVE_LEFT, ACTIONS.MOVE_RIGHT],
+        releaseActions: { [ACTIONS.SOFT_DROP_START]: ACTIONS.SOFT_DROP_END },
+        repeatDelay: timing.repeatDelay,
+        repeatRate: timing.repeatRate
+    }));
+    versusRenderers = versusKeyBindings.map((bindings, player) => {
+        const renderer = LiquidityRenderer.createBoardRenderer(document.getElementById(`versus-canvas-${player + 1}`));
+        renderer.resize(versusMatch.getStates()[player].board);
+        document.getElementById(`versus-keys-${player + 1}`).textContent = bindings.describe();
+        return renderer;
+    });
     
-    // Update timer display
-    updateTimerDisplay();
+    document.getElementById('versus-result').classList.add('hidden');
+    document.getElementById('level-select').classList.add('hidden');
+    document.getElementById('versus').classList.remove('hidden');
+    versusLastTime = performance.now();
+    requestAnimationFrame(versusLoop);
+}
 
-    // Draw everything
+function exitVersus() {
+    versusInputs.forEach(controller => controller.releaseAll());
+    versusMatch = null;
+    versusInputs = [];
+    document.getElementById('versus').classList.add('hidden');
     draw();
+}
 
-    requestAnimationFrame(gameLoop);
+// Read a replay file chosen by the player and start watching it
+function loadReplayFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            startReplay(JSON.parse(reader.result));
+        } catch (e) {
+            alert(`Could not load replay: ${e.message}`);
+        }
+    };
+    reader.readAsText(file);
+}
+
+// Update the replay control bar from the player
+function updateReplayControls() {
+    const seekInput = document.getElementById('replay-seek');
+    seekInput.max = replayPlayer.totalTicks;
+    seekInput.value = replayPlayer.getTick();
+    document.getElementById('replay-time').textContent = `${formatTicks(replayPlayer.getTick())} / ${formatTicks(replayPlayer.totalTicks)}`;
+    document.getElementById('replay-play-btn').textContent = replayPlayer.isPlaying() ? 'Pause' : 'Play';
+}
+
+// Replay loop
+function replayLoop(time = 0) {
+    if (!replayPlayer) return;
+    
+    const deltaTime = time - lastTime;
+    lastTime = time;
+    
+    replayPlayer.advance(deltaTime);
+    gameState = replayPlayer.getState();
+    
+    updateHud();
+    updateReplayControls();
+    draw();
+    
+    requestAnimationFrame(replayLoop);
+}
+
+// Watch a recording, replacing any game in progress
+function startReplay(recording) {
+    const player = LiquidityReplay.createReplayPlayer(recording);
+    
+    gameRunning = false;
+    replayPlayer = player;
+    gameState = replayPlayer.getState();
+    setBoard(gameState.board);
+    lastTime = performance.now();
+    
+    document.getElementById('game-over').classList.add('hidden');
+    document.getElementById('pause-btn').disabled = true;
+    document.getElementById('replay-controls').classList.remove('hidden');
+    
+    replayPlayer.setSpeed(Number(document.getElementById('replay-speed').value));
+    replayPlayer.play();
+    requestAnimationFrame(replayLoop);
+}
+
+// Stop watching a replay
+function exitReplay() {
+    replayPlayer = null;
+    document.getElementById('replay-controls').classList.add('hidden');
+}
+
+// Engine options for the next game, from the selected scenario or the settings inputs
+function getGameOptions() {
+    if (currentScenario) {
+        return Object.assign({}, currentScenario.engineOptions);
+    }
+    return Object.assign({
+        randomizer: document.getElementById('randomizer-select').value,
+        levelBy: document.getElementById('level-by-select').value,
+        bandScenario: document.getElementById('band-scenario-select').value,
+        useBalanceRules: document.getElementById('balance-rules-toggle').checked
+    }, getBoardOptions());
+}
+
+// Put a free play game's engine options back into the side panel, e.g. for a resumed game
+function showGameOptions(options) {
+    document.getElementById('randomizer-select').value = options.randomizer || 'bag';
+    document.getElementById('level-by-select').value = options.levelBy || 'time';
+    document.getElementById('band-scenario-select').value = options.bandScenario || 'static';
+    document.getElementById('balance-rules-toggle').checked = Boolean(options.useBalanceRules);
+    
+    const geometry = LiquidityEngine.createBoardGeometry(options);
+    document.getElementById('cols-input').value = geometry.cols;
+    document.getElementById('rows-input').value = geometry.rows;
+    document.getElementById('excess-cash-line-input').value = Math.round(geometry.excessCashLine * 100);
+    document.getElementById('overdraft-line-input').value = Math.round(geometry.overdraftLine * 100);
+    updateHighScoresPanel();
 }
 
 // Start game
-function startGame() {
+// demo: let the bot play instead of the player
+function startGame(demo = false) {
+    let newEngine;
+    try {
+        newEngine = LiquidityReplay.createRecordingEngine(Object.assign({
+            seed: Math.floor(Math.random() * 4294967296)
+        }, getGameOptions()));
+    } catch (e) {
+        alert(`Could not start game: ${e.message}`);
+        return;
+    }
+    
+    ownsSave = false;
+    beginGame(newEngine, getSelectedMode(), demo);
+}
+
+// Carry on the saved game, paused so the player can get ready
+function continueGame() {
+    const save = saveSlot.load();
+    let newEngine = null;
+    try {
+        newEngine = save && LiquiditySaveGame.resumeGame(save);
+    } catch (e) {
+        saveSlot.clear();
+        alert(`Could not continue the saved game: ${e.message}`);
+    }
+    if (!newEngine) {
+        updateContinueButton();
+        return;
+    }
+    
+    currentScenario = save.details.scenario;
+    if (!currentScenario) {
+        showGameOptions(save.recording.settings);
+    }
+    ownsSave = true;
+    beginGame(newEngine, save.details.mode, false, save.details.telemetry);
+    setPaused(true);
+}
+
+// Save the running game, if it's the player's
+function saveGame() {
+    if (!gameRunning || autoplayer || gameState.gameOver) return;
+    const message = document.getElementById('save-message');
+    try {
+        saveSlot.save(LiquiditySaveGame.createSave(engine, {
+            mode: gameMode,
+            scenario: currentScenario,
+            telemetry: telemetry.getData()
+        }));
+        ownsSave = true;
+        message.classList.add('hidden');
+    } catch (e) {
+        message.textContent = `Could not save the game: ${e.message}`;
+        message.classList.remove('hidden');
+    }
+}
+
+// Offer Continue while there's a saved game and nothing is being played
+function updateContinueButton() {
+    document.getElementById('continue-btn').classList.toggle('hidden', gameRunning || saveSlot.load() === null);
+}
+
+// Set up the screen and side panel for a new or resumed game and start the game loop
+// telemetryData: the resumed game's telemetry so far (see telemetry.js)
+function beginGame(newEngine, mode, demo, telemetryData = null) {
+    exitReplay();
+    gameMode = mode;
+    pendingHighScore = null;
+    cancelBotBenchmark();
+    hint = null;
+    autoplayer = demo ? LiquidityBot.createAutoplayer() : null;
+    engine = newEngine;
+    pluginManager.attach(engine);
+    announcer.attach(engine);
+    audio.resume();
+    audio.attach(engine);
+    telemetry = LiquidityTelemetry.createTelemetryRecorder({}, telemetryData);
+    telemetry.attach(engine);
+    gameState = engine.getState();
+    telemetry.record(gameState);
+    setBoard(gameState.board);
     gameRunning = true;
-    gameStartTime = Date.now();
-    stackedBlocks = [];
-    blocksPlaced = 0;
-    warningTimer = null;
-    clearingAnimation = null;
-    hasSolidLayerAboveOverdraft = false;
-    hasTopBlockBeenInSafeZone = false;
-    currentPiece = createNewPiece();
-    dropTime = 0;
     lastTime = performance.now();
     
     document.getElementById('game-over').classList.add('hidden');
-    document.getElementById('start-btn').textContent = 'Restart';
+    document.getElementById('level-select').classList.add('hidden');
+    document.getElementById('dashboard').classList.add('hidden');
+    document.getElementById('start-btn').textContent = demo ? 'Start Game' : 'Restart';
+    document.getElementById('pause-btn').textContent = 'Pause';
+    document.getElementById('pause-btn').disabled = false;
     document.getElementById('timer-warning').classList.add('hidden');
-    updateBalanceDisplay();
-    updateTimeDisplay();
-    updateTimerDisplay();
+    document.getElementById('save-message').classList.add('hidden');
+    updateContinueButton();
+    updateHud();
     
     requestAnimationFrame(gameLoop);
 }
@@ -739,8 +1134,16 @@ function endGame(message = '') {
     if (!gameRunning) return;
     
     gameRunning = false;
-    const elapsed = Math.floor((Date.now() - gameStartTime) / 1000);
+    lastRecording = engine.getRecording();
+    if (ownsSave) {
+        saveSlot.clear();
+        ownsSave = false;
+    }
+    updateContinueButton();
+    document.getElementById('pause-btn').disabled = true;
+    const elapsed = Math.floor(gameState.time / 1000);
     document.getElementById('final-time').textContent = elapsed;
+    showScoreBreakdown(gameState.score);
     
     // Update game over message if provided
     const gameOverDiv = document.getElementById('game-over');
@@ -759,49 +1162,426 @@ function endGame(message = '') {
             h2.insertAdjacentElement('afterend', msgP);
         }
     }
+    gameOverDiv.querySelector('h2').textContent = gameState.won ? 'Level Complete!' : 'Game Over!';
+    const messageElement = gameOverDiv.querySelector('.game-over-message');
+    if (messageElement) {
+        messageElement.style.color = gameState.won ? '#4CAF50' : '#ff6b6b';
+    }
     
+    showGameOverHighScores(message);
     gameOverDiv.classList.remove('hidden');
 }
 
-// Keyboard controls
-let keys = {};
-document.addEventListener('keydown', (e) => {
-    if (!gameRunning) return;
+// Show the selected scenario and progress towards its win conditions in the side panel
+function updateScenarioDisplay(state) {
+    const infoDiv = document.getElementById('scenario-info');
+    if (!currentScenario || replayPlayer) {
+        infoDiv.classList.add('hidden');
+        return;
+    }
+    infoDiv.classList.remove('hidden');
+    document.getElementById('scenario-name').textContent = currentScenario.name;
+    
+    const winConditions = currentScenario.engineOptions.winConditions || {};
+    const progress = [LiquidityScenarios.describeWinConditions(winConditions)];
+    if (state && winConditions.surviveTime !== undefined) {
+        progress.push(`${Math.floor(state.time / 1000)}s / ${winConditions.surviveTime / 1000}s`);
+    }
+    if (state && winConditions.clearRows !== undefined) {
+        progress.push(`${state.rowsCleared} / ${winConditions.clearRows} rows`);
+    }
+    document.getElementById('scenario-goal').textContent = progress.join(' · ');
+}
 
-    keys[e.key] = true;
+// Pick the scenario the next game starts from (null for free play)
+function selectScenario(scenario) {
+    currentScenario = scenario;
+    document.getElementById('level-select').classList.add('hidden');
+    updateScenarioDisplay(null);
+    updateHighScoresPanel();
+    if (scenario) {
+        startGame();
+    }
+}
 
-    if (currentPiece) {
-        if (e.key === 'ArrowLeft') {
-            currentPiece.move(-1);
-            e.preventDefault();
-        } else if (e.key === 'ArrowRight') {
-            currentPiece.move(1);
-            e.preventDefault();
-        } else if (e.key === 'ArrowUp') {
-            currentPiece.rotate();
-            e.preventDefault();
-        } else if (e.key === 'ArrowDown') {
-            // Fast drop - handled in game loop
-            e.preventDefault();
+// Fill the level select screen with the built-in scenarios
+function renderScenarioList() {
+    const list = document.getElementById('level-list');
+    list.innerHTML = '';
+    (scenarioList || []).forEach(scenario => {
+        const button = document.createElement('button');
+        button.className = 'level-option';
+        const name = document.createElement('strong');
+        name.textContent = scenario.name;
+        const description = document.createElement('span');
+        description.textContent = scenario.description;
+        const goal = document.createElement('span');
+        goal.className = 'level-goal';
+        goal.textContent = LiquidityScenarios.describeWinConditions(scenario.engineOptions.winConditions || {});
+        button.append(name, description, goal);
+        button.addEventListener('click', () => selectScenario(scenario));
+        list.appendChild(button);
+    });
+}
+
+// Fetch and parse the built-in scenarios listed in the scenario index
+function loadScenarioList() {
+    const message = document.getElementById('level-select-message');
+    const fetchJson = url => fetch(url).then(response => {
+        if (!response.ok) throw new Error(`${url}: ${response.status}`);
+        return response.json();
+    });
+    
+    message.textContent = 'Loading levels…';
+    return fetchJson(SCENARIO_INDEX_URL)
+        .then(index => Promise.all(index.scenarios.map(file => fetchJson(`scenarios/${file}`))))
+        .then(files => {
+            scenarioList = files.map(LiquidityScenarios.parseScenario);
+            message.textContent = '';
+            renderScenarioList();
+        })
+        .catch(e => {
+            message.textContent = `Could not load the built-in levels (${e.message}). You can still load a scenario file.`;
+        });
+}
+
+// Open the level select screen
+function showLevelSelect() {
+    if (gameRunning) {
+        setPaused(true);
+    }
+    document.getElementById('level-select').classList.remove('hidden');
+    if (scenarioList === null) {
+        loadScenarioList();
+    }
+}
+
+// Load a scenario from a file chosen by the player and start it
+function loadScenarioFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            selectScenario(LiquidityScenarios.parseScenario(JSON.parse(reader.result)));
+        } catch (e) {
+            alert(`Could not load scenario: ${e.message}`);
         }
+    };
+    reader.readAsText(file);
+}
+
+// Run an action from any input device
+function dispatchAction(action) {
+    if (action === LiquidityInput.PAUSE_ACTION) {
+        togglePause();
+        return true;
     }
+    if (action === LiquidityInput.RESTART_ACTION) {
+        startGame();
+        return true;
+    }
+    // The bot has the controls in a demo
+    if (!gameRunning || autoplayer) return false;
     
+    const applied = engine.applyInput(action);
+    gameState = engine.getState();
+    draw();
+    return applied;
+}
+
+// Load the saved palette and reduced motion setting (following the system setting until one is saved)
+function loadDisplaySettings() {
+    const saved = LiquidityStorage.readJson(localStorage, DISPLAY_SETTINGS_KEY);
+    const systemReducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    document.getElementById('palette-select').value = LiquidityAccessibility.PALETTES[saved && saved.palette] ?
+        saved.palette : LiquidityAccessibility.DEFAULT_PALETTE;
+    document.getElementById('reduced-motion-toggle').checked = saved && typeof saved.reducedMotion === 'boolean' ?
+        saved.reducedMotion : systemReducedMotion;
+    applyDisplaySettings();
+}
+
+// Use the palette and motion setting chosen in the side panel
+function applyDisplaySettings() {
+    palette = LiquidityAccessibility.getPalette(document.getElementById('palette-select').value);
+    reducedMotion = document.getElementById('reduced-motion-toggle').checked;
+    document.body.classList.toggle('reduced-motion', reducedMotion);
+    document.getElementById('cash-help').textContent = LiquidityAccessibility.describeCashColors(palette);
     draw();
+    if (gameState) {
+        drawNextPieces(gameState);
+        drawHeldPiece(gameState);
+    }
+}
+
+function saveDisplaySettings() {
+    localStorage.setItem(DISPLAY_SETTINGS_KEY, JSON.stringify({
+        palette: document.getElementById('palette-select').value,
+        reducedMotion: document.getElementById('reduced-motion-toggle').checked
+    }));
+    applyDisplaySettings();
+}
+
+// Load saved repeat delay (DAS) and repeat rate (ARR)
+function loadInputSettings() {
+    return LiquidityStorage.readJson(localStorage, INPUT_SETTINGS_KEY, {});
+}
+
+// Apply and save repeat delay and repeat rate from the side panel inputs
+function saveInputSettings() {
+    const timing = {
+        repeatDelay: Math.max(0, Number(document.getElementById('repeat-delay-input').value) || 0),
+        repeatRate: Math.max(0, Number(document.getElementById('repeat-rate-input').value) || 0)
+    };
+    inputController.setTiming(timing);
+    localStorage.setItem(INPUT_SETTINGS_KEY, JSON.stringify(timing));
+}
+
+// Show the current key bindings in the instructions and the controls panel
+function updateControlsHelp() {
+    document.getElementById('controls-help').textContent = keyBindings.describe();
+    renderKeyBindings();
+}
+
+// One row per action with a button for each key slot
+function renderKeyBindings() {
+    const table = document.getElementById('key-bindings-table');
+    table.innerHTML = '';
+    LiquidityKeyBindings.BINDABLE_ACTIONS.forEach(({ action, label }) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = label;
+        const keys = keyBindings.getKeys(action);
+        for (let slot = 0; slot < LiquidityKeyBindings.MAX_KEYS_PER_ACTION; slot++) {
+            const button = document.createElement('button');
+            const listening = bindingTarget && bindingTarget.action === action && bindingTarget.slot === slot;
+            button.className = 'secondary-btn';
+            if (listening) {
+                button.classList.add('key-listening');
+                button.textContent = '…';
+            } else if (keys[slot] !== undefined) {
+                button.textContent = LiquidityKeyBindings.getKeyName(keys[slot]);
+            } else {
+                button.classList.add('key-unbound');
+                button.textContent = '—';
+            }
+            button.addEventListener('click', () => startBinding(action, Math.min(slot, keys.length), label));
+            row.insertCell().appendChild(button);
+        }
+    });
+}
+
+function showBindingMessage(text, isError = false) {
+    const message = document.getElementById('key-binding-message');
+    message.textContent = text;
+    message.classList.toggle('key-binding-error', isError);
+}
+
+// Wait for the next key press to bind it to an action slot
+function startBinding(action, slot, label) {
+    if (gameRunning) {
+        setPaused(true);
+    }
+    bindingTarget = { action: action, slot: slot };
+    showBindingMessage(`Press a key for ${label} (Esc to cancel, Backspace to clear)`);
+    renderKeyBindings();
+}
+
+// Handle the key pressed while waiting for a binding
+function finishBinding(key) {
+    const { action, slot } = bindingTarget;
+    bindingTarget = null;
+
+    if (key === 'Escape') {
+        showBindingMessage('Click a key to change it');
+    } else if (key === 'Backspace' || key === 'Delete') {
+        keyBindings.clearKey(action, slot);
+        showBindingMessage('Key cleared');
+    } else {
+        const result = keyBindings.setKey(action, slot, key);
+        if (result.ok) {
+            showBindingMessage('Key saved');
+        } else {
+            const owner = LiquidityKeyBindings.BINDABLE_ACTIONS.find(entry => entry.action === result.conflict);
+            showBindingMessage(`${LiquidityKeyBindings.getKeyName(key)} is already used for ${owner.label}`, true);
+        }
+    }
+    updateControlsHelp();
+}
+
+// Keyboard controls
+document.addEventListener('keydown', (e) => {
+    if (bindingTarget) {
+        finishBinding(e.key);
+        e.preventDefault();
+        return;
+    }
+    // Leave typing in text and number fields alone
+    if (e.target.closest('input, select, textarea')) return;
+    if (versusMatch) {
+        handleVersusKey(e, true);
+        return;
+    }
+
+    const action = keyBindings.getAction(e.key);
+    if (!action || (!gameRunning && action !== LiquidityInput.RESTART_ACTION)) return;
+
+    // Held keys are auto-repeated by the input controller, not the browser
+    if (!e.repeat) {
+        inputController.press(action);
+    }
+    e.preventDefault();
 });
 
 document.addEventListener('keyup', (e) => {
-    keys[e.key] = false;
+    if (versusMatch) {
+        handleVersusKey(e, false);
+        return;
+    }
+    const action = keyBindings.getAction(e.key);
+    if (action) {
+        inputController.release(action);
+    }
 });
 
 // Button handlers
-document.getElementById('start-btn').addEventListener('click', startGame);
+document.getElementById('start-btn').addEventListener('click', () => startGame());
+document.getElementById('continue-btn').addEventListener('click', continueGame);
+document.getElementById('demo-btn').addEventListener('click', () => startGame(true));
+document.getElementById('versus-btn').addEventListener('click', startVersus);
+document.getElementById('versus-rematch-btn').addEventListener('click', startVersus);
+document.getElementById('versus-exit-btn').addEventListener('click', exitVersus);
+document.getElementById('volume-input').addEventListener('input', (e) => {
+    audio.setVolume(Number(e.target.value) / 100);
+});
+document.getElementById('mute-toggle').addEventListener('change', (e) => {
+    audio.setMuted(e.target.checked);
+});
+document.getElementById('palette-select').addEventListener('change', saveDisplaySettings);
+document.getElementById('reduced-motion-toggle').addEventListener('change', saveDisplaySettings);
+document.getElementById('hint-toggle').addEventListener('change', (e) => {
+    showHint = e.target.checked;
+    localStorage.setItem(HINT_SETTING_KEY, String(showHint));
+    draw();
+});
+document.getElementById('pause-btn').addEventListener('click', togglePause);
 document.getElementById('restart-btn').addEventListener('click', () => {
     startGame();
 });
+document.getElementById('save-score-btn').addEventListener('click', saveHighScore);
+document.getElementById('download-replay-btn').addEventListener('click', () => {
+    if (lastRecording) {
+        downloadRecording(lastRecording);
+    }
+});
+document.getElementById('levels-btn').addEventListener('click', showLevelSelect);
+document.getElementById('free-play-btn').addEventListener('click', () => selectScenario(null));
+document.getElementById('close-level-select-btn').addEventListener('click', () => {
+    document.getElementById('level-select').classList.add('hidden');
+});
+document.getElementById('load-scenario-btn').addEventListener('click', () => {
+    document.getElementById('scenario-file-input').click();
+});
+document.getElementById('scenario-file-input').addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+        loadScenarioFile(e.target.files[0]);
+    }
+    e.target.value = '';
+});
+document.getElementById('show-dashboard-btn').addEventListener('click', showDashboard);
+document.getElementById('close-dashboard-btn').addEventListener('click', hideDashboard);
+document.getElementById('export-csv-btn').addEventListener('click', () => {
+    downloadFile(telemetry.toCSV(), `liquidity-rush-telemetry-${gameState.seed}.csv`, 'text/csv');
+});
+document.getElementById('export-json-btn').addEventListener('click', () => {
+    downloadFile(JSON.stringify(telemetry.getData(), null, 2), `liquidity-rush-telemetry-${gameState.seed}.json`, 'application/json');
+});
+document.getElementById('load-replay-btn').addEventListener('click', () => {
+    document.getElementById('replay-file-input').click();
+});
+document.getElementById('replay-file-input').addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+        loadReplayFile(e.target.files[0]);
+    }
+    e.target.value = '';
+});
+document.getElementById('replay-play-btn').addEventListener('click', () => {
+    if (replayPlayer.isPlaying()) {
+        replayPlayer.pause();
+    } else {
+        replayPlayer.play();
+    }
+});
+document.getElementById('replay-seek').addEventListener('input', (e) => {
+    replayPlayer.seek(Number(e.target.value));
+});
+document.getElementById('replay-speed').addEventListener('change', (e) => {
+    replayPlayer.setSpeed(Number(e.target.value));
+});
+document.getElementById('replay-exit-btn').addEventListener('click', exitReplay);
+document.getElementById('repeat-delay-input').addEventListener('change', saveInputSettings);
+document.getElementById('repeat-rate-input').addEventListener('change', saveInputSettings);
+document.getElementById('player-name').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        saveHighScore();
+    }
+});
+document.getElementById('controls-btn').addEventListener('click', () => {
+    document.getElementById('controls-panel').classList.toggle('hidden');
+});
+document.getElementById('reset-key-bindings-btn').addEventListener('click', () => {
+    bindingTarget = null;
+    keyBindings.resetToDefaults();
+    showBindingMessage('Default keys restored');
+    updateControlsHelp();
+});
+document.getElementById('high-scores-btn').addEventListener('click', () => {
+    document.getElementById('high-scores-panel').classList.toggle('hidden');
+    updateHighScoresPanel();
+});
+document.getElementById('clear-high-scores-btn').addEventListener('click', () => {
+    const mode = getSelectedMode();
+    if (confirm(`Clear all high scores for ${mode.label}?`)) {
+        leaderboard.clear(mode.key);
+        updateHighScoresPanel();
+    }
+});
+document.getElementById('randomizer-select').addEventListener('change', updateHighScoresPanel);
+['cols-input', 'rows-input', 'excess-cash-line-input', 'overdraft-line-input'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+        previewBoardSettings();
+        updateHighScoresPanel();
+    });
+});
+document.getElementById('level-by-select').addEventListener('change', updateHighScoresPanel);
+document.getElementById('band-scenario-select').addEventListener('change', updateHighScoresPanel);
+document.getElementById('balance-rules-toggle').addEventListener('change', updateHighScoresPanel);
+
+// Pause automatically when the page is hidden (tab switch, minimized window)
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        setPaused(true);
+        setVersusPaused(true);
+    }
+});
+// Closing or reloading the tab doesn't always hide it first
+window.addEventListener('pagehide', saveGame);
 
 // Initialize
 window.addEventListener('load', () => {
     initCanvas();
+    loadDisplaySettings();
+    loadBoardSettingsFromUrl();
+    previewBoardSettings();
+    LiquidityInput.attachTouchControls(canvas, inputController, () => CELL_SIZE * boardRenderer.getPixelRatio());
+    LiquidityInput.attachButtonControls(document.getElementById('touch-controls'), inputController);
+    
+    const timing = inputController.getTiming();
+    document.getElementById('repeat-delay-input').value = timing.repeatDelay;
+    document.getElementById('repeat-rate-input').value = timing.repeatRate;
+    updateControlsHelp();
+    document.getElementById('hint-toggle').checked = showHint;
+    const audioSettings = audio.getSettings();
+    document.getElementById('volume-input').value = Math.round(audioSettings.volume * 100);
+    document.getElementById('mute-toggle').checked = audioSettings.muted;
+    updateContinueButton();
+    
     draw();
 });
-
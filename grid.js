@@ -0,0 +1,178 @@
+// Liquidity Rush board grid
+// The stacked cells as one dense typed array with a fill count per row and the top of the stack
+// kept up to date, so row checks, collisions and clears never have to scan the whole board.
+// Rows count from the top of the board, like the engine's pixel y.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LiquidityGrid = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Cell types by the code stored for them, 0 is an empty cell
+    const CELL_TYPES = [null, 'inflow', 'outflow', 'garbage'];
+    const CELL_CODES = { inflow: 1, outflow: 2, garbage: 3 };
+
+    class Grid {
+        constructor(cols, rows) {
+            this.cols = cols;
+            this.rows = rows;
+            this.cells = new Uint8Array(cols * rows); // cell codes row by row (see CELL_TYPES)
+            this.rowCounts = new Uint8Array(rows); // filled cells in each row
+            this.top = rows; // first row with a filled cell, rows while the grid is empty
+        }
+
+        // A grid from getState().stackedBlocks (rows of { type } cells, empty rows may be missing)
+        static fromStackedBlocks(stackedBlocks, cols, rows) {
+            const grid = new Grid(cols, rows);
+            stackedBlocks.forEach((cells, row) => {
+                if (!cells) return;
+                cells.forEach((cell, col) => {
+                    if (cell) {
+                        grid.setType(row, col, cell.type);
+                    }
+                });
+            });
+            return grid;
+        }
+
+        isFilled(row, col) {
+            return this.cells[row * this.cols + col] !== 0;
+        }
+
+        // Type of a cell, null if it's empty
+        getType(row, col) {
+            return CELL_TYPES[this.cells[row * this.cols + col]];
+        }
+
+        // Fill a cell with a type, or empty it with null. Throws for a type the grid can't hold
+        setType(row, col, type) {
+            const code = type === null ? 0 : CELL_CODES[type];
+            if (code === undefined) {
+                throw new Error(`Unknown cell type: ${type}`);
+            }
+            const index = row * this.cols + col;
+            const filled = this.cells[index] !== 0;
+            this.cells[index] = code;
+
+            if (code !== 0 && !filled) {
+                this.rowCounts[row]++;
+                this.top = Math.min(this.top, row);
+            } else if (code === 0 && filled) {
+                this.rowCounts[row]--;
+                if (row === this.top) {
+                    this.top = this.findTop(row);
+                }
+            }
+        }
+
+        // First non-empty row from a row down, rows if there is none
+        findTop(from) {
+            let row = from;
+            while (row < this.rows && this.rowCounts[row] === 0) {
+                row++;
+            }
+            return row;
+        }
+
+        // Row of the highest filled cell, null while the grid is empty
+        getTopRow() {
+            return this.top < this.rows ? this.top : null;
+        }
+
+        isRowFull(row) {
+            return this.rowCounts[row] === this.cols;
+        }
+
+        // Full rows, top to bottom
+        getFullRows() {
+            const full = [];
+            for (let row = this.top; row < this.rows; row++) {
+                if (this.isRowFull(row)) {
+                    full.push(row);
+                }
+            }
+            return full;
+        }
+
+        // Whether any row above the given one is full
+        hasFullRowAbove(row) {
+            for (let above = this.top; above < row; above++) {
+                if (this.isRowFull(above)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        // Whether a shape with its top-left cell at row, col covers a filled cell.
+        // The shape has to be inside the grid, walls are left to the caller
+        overlaps(shape, row, col) {
+            for (let shapeRow = 0; shapeRow < shape.length; shapeRow++) {
+                // Rows above the stack are empty
+                if (row + shapeRow < this.top) continue;
+                const start = (row + shapeRow) * this.cols + col;
+                for (let shapeCol = 0; shapeCol < shape[shapeRow].length; shapeCol++) {
+                    if (shape[shapeRow][shapeCol] && this.cells[start + shapeCol] !== 0) {
+                        return true;
+                    }
+                }
+            }
+            return false;
+        }
+
+        // Take rows out and drop the rows above them into the gap, in one pass from the bottom
+        clearRows(rowsToClear) {
+            const cleared = new Set(rowsToClear);
+            const cols = this.cols;
+            let target = this.rows - 1;
+            for (let source = this.rows - 1; source >= this.top; source--) {
+                if (cleared.has(source)) continue;
+                if (target !== source) {
+                    this.cells.copyWithin(target * cols, source * cols, (source + 1) * cols);
+                    this.rowCounts[target] = this.rowCounts[source];
+                }
+                target--;
+            }
+            this.cells.fill(0, this.top * cols, (target + 1) * cols);
+            this.rowCounts.fill(0, this.top, target + 1);
+            this.top = this.findTop(target + 1);
+        }
+
+        // Move every row up by count rows, leaving the bottom count rows empty.
+        // Rows pushed off the top are lost, callers check getTopRow() first
+        shiftUp(count) {
+            const cols = this.cols;
+            this.cells.copyWithin(0, count * cols);
+            this.cells.fill(0, (this.rows - count) * cols);
+            this.rowCounts.copyWithin(0, count);
+            this.rowCounts.fill(0, this.rows - count);
+            this.top = this.findTop(Math.max(0, this.top - count));
+        }
+
+        // Rows of cells as types or null, null for an empty row (for snapshots)
+        toTypeRows() {
+            return Array.from({ length: this.rows }, (_, row) =>
+                this.rowCounts[row] === 0 ? null : Array.from({ length: this.cols }, (_, col) => this.getType(row, col)));
+        }
+
+        // Rows of { type } cells or null, null for an empty row (for getState()). Frozen all the
+        // way down, so the engine can hand the same rows to every state until the stack changes
+        toStackedBlocks() {
+            return Object.freeze(Array.from({ length: this.rows }, (_, row) => {
+                if (this.rowCounts[row] === 0) return null;
+                return Object.freeze(Array.from({ length: this.cols }, (_, col) => {
+                    const type = this.getType(row, col);
+                    return type === null ? null : Object.freeze({ type: type });
+                }));
+            }));
+        }
+    }
+
+    return {
+        CELL_TYPES: CELL_TYPES,
+        Grid: Grid
+    };
+});
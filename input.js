@@ -0,0 +1,277 @@
+// Liquidity Rush input layer
+// Keyboard, touch, on-screen buttons and gamepads all report presses and releases of
+// named actions to one controller, which handles auto-repeat and hands every action
+// to a single dispatch function. Nothing here talks to the engine directly.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'));
+    } else {
+        root.LiquidityInput = factory(root.LiquidityEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Engine) {
+    'use strict';
+
+    const ACTIONS = Engine.ACTIONS;
+
+    // Actions handled by the front end rather than the engine
+    const PAUSE_ACTION = 'pause';
+    const RESTART_ACTION = 'restart';
+
+    // Auto-repeat for held directions
+    const DEFAULT_REPEAT_DELAY = 170; // DAS: milliseconds before a held direction starts repeating
+    const DEFAULT_REPEAT_RATE = 50; // ARR: milliseconds between repeats, 0 moves all the way at once
+    const MAX_INSTANT_REPEATS = 50; // safety cap for a repeat rate of 0
+
+    // Touch gestures (in CSS pixels and milliseconds)
+    const TAP_MAX_DISTANCE = 10;
+    const TAP_MAX_DURATION = 250;
+    const SWIPE_MIN_DISTANCE = 50;
+    const FLICK_MIN_SPEED = 0.5; // pixels per millisecond for a downward flick to count as a hard drop
+
+    // Standard gamepad layout: button index -> action name
+    const GAMEPAD_BUTTONS = {
+        0: ACTIONS.ROTATE, // A / Cross
+        1: ACTIONS.ROTATE_CCW, // B / Circle
+        4: ACTIONS.HOLD, // LB
+        5: ACTIONS.HOLD, // RB
+        9: PAUSE_ACTION, // Start
+        12: ACTIONS.HARD_DROP, // D-pad up
+        13: ACTIONS.SOFT_DROP_START, // D-pad down
+        14: ACTIONS.MOVE_LEFT, // D-pad left
+        15: ACTIONS.MOVE_RIGHT // D-pad right
+    };
+    const GAMEPAD_AXIS_THRESHOLD = 0.5;
+
+    // Create an input controller
+    // options.dispatch(action): runs an action, returns true if it did something
+    // options.repeatable: actions that auto-repeat while held
+    // options.releaseActions: { action: actionToDispatchOnRelease }, e.g. soft drop start -> end
+    // options.repeatDelay / options.repeatRate: DAS and ARR in milliseconds
+    function createInputController(options) {
+        const dispatch = options.dispatch;
+        const repeatable = options.repeatable || [];
+        const releaseActions = options.releaseActions || {};
+        let repeatDelay = options.repeatDelay !== undefined ? options.repeatDelay : DEFAULT_REPEAT_DELAY;
+        let repeatRate = options.repeatRate !== undefined ? options.repeatRate : DEFAULT_REPEAT_RATE;
+
+        // Held actions: action -> { elapsed, nextRepeat } (one entry however many devices hold it)
+        const held = new Map();
+        // Number of sources holding each action, so a key and a gamepad button can overlap
+        const holdCounts = new Map();
+
+        // Dispatch an action repeatedly until it stops doing anything (repeat rate 0)
+        function dispatchUntilBlocked(action) {
+            let count = 0;
+            while (count < MAX_INSTANT_REPEATS && dispatch(action)) {
+                count++;
+            }
+        }
+
+        function press(action) {
+            holdCounts.set(action, (holdCounts.get(action) || 0) + 1);
+            if (held.has(action)) return;
+
+            held.set(action, { elapsed: 0, nextRepeat: repeatDelay });
+            dispatch(action);
+        }
+
+        function release(action) {
+            const count = (holdCounts.get(action) || 0) - 1;
+            if (count > 0) {
+                holdCounts.set(action, count);
+                return;
+            }
+            holdCounts.delete(action);
+            if (!held.has(action)) return;
+
+            held.delete(action);
+            if (releaseActions[action]) {
+                dispatch(releaseActions[action]);
+            }
+        }
+
+        // Let go of everything, e.g. when the game pauses and key releases may be missed
+        function releaseAll() {
+            holdCounts.clear();
+            held.forEach((timer, action) => {
+                if (releaseActions[action]) {
+                    dispatch(releaseActions[action]);
+                }
+            });
+            held.clear();
+        }
+
+        // Advance auto-repeat timers by dt milliseconds
+        function update(dt) {
+            held.forEach((timer, action) => {
+                if (!repeatable.includes(action)) return;
+
+                timer.elapsed += dt;
+                while (timer.elapsed >= timer.nextRepeat) {
+                    if (repeatRate === 0) {
+                        dispatchUntilBlocked(action);
+                        timer.nextRepeat = Infinity;
+                    } else {
+                        dispatch(action);
+                        timer.nextRepeat += repeatRate;
+                    }
+                }
+            });
+        }
+
+        function setTiming(timing) {
+            if (timing.repeatDelay !== undefined) repeatDelay = timing.repeatDelay;
+            if (timing.repeatRate !== undefined) repeatRate = timing.repeatRate;
+        }
+
+        function getTiming() {
+            return { repeatDelay: repeatDelay, repeatRate: repeatRate };
+        }
+
+        return {
+            press: press,
+            release: release,
+            releaseAll: releaseAll,
+            update: update,
+            setTiming: setTiming,
+            getTiming: getTiming
+        };
+    }
+
+    // Turn swipes and taps on an element into actions
+    // Dragging sideways moves a column for every cellSize pixels, a tap rotates,
+    // a downward flick hard drops and an upward swipe holds
+    // cellSize: width of a column in canvas pixels, or a function returning it (for canvases
+    // whose backing store is resized, e.g. for the pixel ratio)
+    function attachTouchControls(element, controller, cellSize) {
+        const getCellSize = typeof cellSize === 'function' ? cellSize : () => cellSize;
+        let gesture = null;
+
+        element.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'mouse') return;
+            gesture = { id: e.pointerId, startX: e.clientX, startY: e.clientY, startTime: e.timeStamp, columns: 0, moved: false };
+            element.setPointerCapture(e.pointerId);
+            e.preventDefault();
+        });
+
+        element.addEventListener('pointermove', (e) => {
+            if (!gesture || e.pointerId !== gesture.id) return;
+
+            // Canvas may be scaled by CSS, so measure cells in on-screen pixels
+            const scale = element.getBoundingClientRect().width / element.width;
+            const columns = Math.trunc((e.clientX - gesture.startX) / (getCellSize() * scale));
+            while (gesture.columns !== columns) {
+                const action = columns > gesture.columns ? ACTIONS.MOVE_RIGHT : ACTIONS.MOVE_LEFT;
+                controller.press(action);
+                controller.release(action);
+                gesture.columns += columns > gesture.columns ? 1 : -1;
+                gesture.moved = true;
+            }
+        });
+
+        const endGesture = (e) => {
+            if (!gesture || e.pointerId !== gesture.id) return;
+
+            const dx = e.clientX - gesture.startX;
+            const dy = e.clientY - gesture.startY;
+            const duration = e.timeStamp - gesture.startTime;
+            let action = null;
+
+            if (e.type === 'pointerup') {
+                if (!gesture.moved && Math.hypot(dx, dy) <= TAP_MAX_DISTANCE && duration <= TAP_MAX_DURATION) {
+                    action = ACTIONS.ROTATE;
+                } else if (dy >= SWIPE_MIN_DISTANCE && Math.abs(dy) > Math.abs(dx) && dy / duration >= FLICK_MIN_SPEED) {
+                    action = ACTIONS.HARD_DROP;
+                } else if (-dy >= SWIPE_MIN_DISTANCE && Math.abs(dy) > Math.abs(dx)) {
+                    action = ACTIONS.HOLD;
+                }
+            }
+            if (action) {
+                controller.press(action);
+                controller.release(action);
+            }
+            gesture = null;
+        };
+        element.addEventListener('pointerup', endGesture);
+        element.addEventListener('pointercancel', endGesture);
+    }
+
+    // Wire on-screen buttons that carry a data-action attribute
+    function attachButtonControls(container, controller) {
+        container.querySelectorAll('[data-action]').forEach(button => {
+            const action = button.dataset.action;
+            let pressed = false;
+
+            const down = (e) => {
+                e.preventDefault();
+                if (pressed) return;
+                pressed = true;
+                controller.press(action);
+            };
+            const up = () => {
+                if (!pressed) return;
+                pressed = false;
+                controller.release(action);
+            };
+
+            button.addEventListener('pointerdown', down);
+            button.addEventListener('pointerup', up);
+            button.addEventListener('pointerleave', up);
+            button.addEventListener('pointercancel', up);
+            button.addEventListener('contextmenu', (e) => e.preventDefault());
+        });
+    }
+
+    // Create a poller that turns Gamepad API state into presses and releases
+    // Call poll() once per frame
+    function createGamepadPoller(controller, getGamepads) {
+        let previous = new Set();
+
+        function readActions() {
+            const actions = new Set();
+            const pads = getGamepads ? getGamepads() : [];
+            for (const pad of pads) {
+                if (!pad) continue;
+
+                pad.buttons.forEach((button, index) => {
+                    if (button.pressed && GAMEPAD_BUTTONS[index]) {
+                        actions.add(GAMEPAD_BUTTONS[index]);
+                    }
+                });
+
+                // Left stick works like the d-pad
+                const x = pad.axes[0] || 0;
+                const y = pad.axes[1] || 0;
+                if (x <= -GAMEPAD_AXIS_THRESHOLD) actions.add(ACTIONS.MOVE_LEFT);
+                if (x >= GAMEPAD_AXIS_THRESHOLD) actions.add(ACTIONS.MOVE_RIGHT);
+                if (y >= GAMEPAD_AXIS_THRESHOLD) actions.add(ACTIONS.SOFT_DROP_START);
+            }
+            return actions;
+        }
+
+        function poll() {
+            const current = readActions();
+            current.forEach(action => {
+                if (!previous.has(action)) controller.press(action);
+            });
+            previous.forEach(action => {
+                if (!current.has(action)) controller.release(action);
+            });
+            previous = current;
+        }
+
+        return { poll: poll };
+    }
+
+    return {
+        PAUSE_ACTION: PAUSE_ACTION,
+        RESTART_ACTION: RESTART_ACTION,
+        DEFAULT_REPEAT_DELAY: DEFAULT_REPEAT_DELAY,
+        DEFAULT_REPEAT_RATE: DEFAULT_REPEAT_RATE,
+        GAMEPAD_BUTTONS: GAMEPAD_BUTTONS,
+        createInputController: createInputController,
+        attachTouchControls: attachTouchControls,
+        attachButtonControls: attachButtonControls,
+        createGamepadPoller: createGamepadPoller
+    };
+});
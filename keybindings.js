@@ -0,0 +1,226 @@
+// Liquidity Rush key bindings
+// Which keyboard keys trigger which actions, saved in a Storage object (localStorage in the browser).
+// Each action can have up to MAX_KEYS_PER_ACTION keys and a key can only belong to one action.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'), require('./input.js'), require('./storage.js'));
+    } else {
+        root.LiquidityKeyBindings = factory(root.LiquidityEngine, root.LiquidityInput, root.LiquidityStorage);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Engine, Input, Storage) {
+    'use strict';
+
+    const ACTIONS = Engine.ACTIONS;
+
+    const STORAGE_KEY = 'liquidityRush.keyBindings';
+    const MAX_KEYS_PER_ACTION = 2;
+
+    // Bindable actions in the order they are listed, with the words used to describe them
+    const BINDABLE_ACTIONS = [
+        { action: ACTIONS.MOVE_LEFT, label: 'Move left', help: 'move left' },
+        { action: ACTIONS.MOVE_RIGHT, label: 'Move right', help: 'move right' },
+        { action: ACTIONS.ROTATE, label: 'Rotate clockwise', help: 'rotate' },
+        { action: ACTIONS.ROTATE_CCW, label: 'Rotate counter-clockwise', help: 'rotate counter-clockwise' },
+        { action: ACTIONS.SOFT_DROP_START, label: 'Soft drop', help: 'drop faster' },
+        { action: ACTIONS.HARD_DROP, label: 'Hard drop', help: 'hard drop' },
+        { action: ACTIONS.HOLD, label: 'Hold', help: 'hold' },
+        { action: Input.PAUSE_ACTION, label: 'Pause', help: 'pause' },
+        { action: Input.RESTART_ACTION, label: 'Restart', help: 'restart' }
+    ];
+
+    const DEFAULT_BINDINGS = {
+        [ACTIONS.MOVE_LEFT]: ['ArrowLeft'],
+        [ACTIONS.MOVE_RIGHT]: ['ArrowRight'],
+        [ACTIONS.ROTATE]: ['ArrowUp', 'x'],
+        [ACTIONS.ROTATE_CCW]: ['z'],
+        [ACTIONS.SOFT_DROP_START]: ['ArrowDown'],
+        [ACTIONS.HARD_DROP]: [' '],
+        [ACTIONS.HOLD]: ['c'],
+        [Input.PAUSE_ACTION]: ['p', 'Escape'],
+        [Input.RESTART_ACTION]: ['r']
+    };
+
+    // Versus mode: one fixed set of keys per player on the same keyboard (pausing uses the usual keys)
+    const VERSUS_BINDINGS = [
+        {
+            [ACTIONS.MOVE_LEFT]: ['a'],
+            [ACTIONS.MOVE_RIGHT]: ['d'],
+            [ACTIONS.ROTATE]: ['w'],
+            [ACTIONS.ROTATE_CCW]: ['q'],
+            [ACTIONS.SOFT_DROP_START]: ['s'],
+            [ACTIONS.HARD_DROP]: [' '],
+            [ACTIONS.HOLD]: ['c']
+        },
+        {
+            [ACTIONS.MOVE_LEFT]: ['ArrowLeft'],
+            [ACTIONS.MOVE_RIGHT]: ['ArrowRight'],
+            [ACTIONS.ROTATE]: ['ArrowUp'],
+            [ACTIONS.ROTATE_CCW]: ['/'],
+            [ACTIONS.SOFT_DROP_START]: ['ArrowDown'],
+            [ACTIONS.HARD_DROP]: ['Enter'],
+            [ACTIONS.HOLD]: ['.']
+        }
+    ];
+
+    // Readable names for keys whose KeyboardEvent.key value isn't self-explanatory
+    const KEY_NAMES = {
+        ' ': 'Space',
+        ArrowLeft: '←',
+        ArrowRight: '→',
+        ArrowUp: '↑',
+        ArrowDown: '↓',
+        Escape: 'Esc'
+    };
+
+    // Letters are bound case-insensitively so Shift or Caps Lock don't break controls
+    function normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    function getKeyName(key) {
+        return KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key);
+    }
+
+    function copyBindings(bindings) {
+        const copy = {};
+        Object.keys(bindings).forEach(action => {
+            copy[action] = [...bindings[action]];
+        });
+        return copy;
+    }
+
+    // Actions that share a key with another action, or have the same key twice
+    function findClashes(bindings) {
+        const owners = new Map();
+        Object.keys(bindings).forEach(action => {
+            bindings[action].forEach(key => owners.set(key, [...(owners.get(key) || []), action]));
+        });
+        const clashing = new Set();
+        owners.forEach(actions => {
+            if (actions.length > 1) actions.forEach(action => clashing.add(action));
+        });
+        return [...clashing];
+    }
+
+    // Create the key bindings, loading any saved ones from storage
+    // storage: null for bindings that only live in memory and start from the defaults
+    // options.storageKey / options.defaults: for a set of keys other than the single player ones,
+    // e.g. VERSUS_BINDINGS[0]
+    function createKeyBindings(storage, options = {}) {
+        const storageKey = options.storageKey || STORAGE_KEY;
+        const defaults = options.defaults || DEFAULT_BINDINGS;
+        let bindings = load();
+
+        // Saved bindings on top of the defaults, so actions added later still get their keys
+        // An action whose saved keys are broken or bound twice (e.g. edited by hand) gets its default keys back
+        function load() {
+            const loaded = copyBindings(defaults);
+            const saved = Storage.readJson(storage, storageKey);
+            if (!saved) return loaded;
+
+            const fromSave = new Set();
+            BINDABLE_ACTIONS.forEach(({ action }) => {
+                const keys = saved[action];
+                if (loaded[action] && Array.isArray(keys) && keys.every(key => typeof key === 'string' && key !== '')) {
+                    loaded[action] = keys.map(normalizeKey).slice(0, MAX_KEYS_PER_ACTION);
+                    fromSave.add(action);
+                }
+            });
+
+            // A default key can clash with another saved action in turn, so check again until nothing clashes
+            let clashing;
+            while ((clashing = findClashes(loaded).filter(action => fromSave.has(action))).length > 0) {
+                clashing.forEach(action => {
+                    loaded[action] = [...defaults[action]];
+                    fromSave.delete(action);
+                });
+            }
+            return loaded;
+        }
+
+        function save() {
+            if (storage) {
+                storage.setItem(storageKey, JSON.stringify(bindings));
+            }
+        }
+
+        // The action a key is bound to, or null
+        function getAction(key) {
+            const normalized = normalizeKey(key);
+            for (const action of Object.keys(bindings)) {
+                if (bindings[action].includes(normalized)) {
+                    return action;
+                }
+            }
+            return null;
+        }
+
+        // Keys bound to an action
+        function getKeys(action) {
+            return [...(bindings[action] || [])];
+        }
+
+        // Bind a key to one of an action's slots
+        // Returns { ok: true } or { ok: false, conflict: otherAction } if the key is already taken
+        function setKey(action, slot, key) {
+            if (!bindings[action] || slot < 0 || slot >= MAX_KEYS_PER_ACTION) {
+                throw new Error(`Cannot bind ${action} slot ${slot}`);
+            }
+            const normalized = normalizeKey(key);
+            const owner = getAction(normalized);
+            if (owner !== null && !(owner === action && bindings[action][slot] === normalized)) {
+                return { ok: false, conflict: owner };
+            }
+
+            const keys = bindings[action];
+            if (slot < keys.length) {
+                keys[slot] = normalized;
+            } else {
+                keys.push(normalized);
+            }
+            save();
+            return { ok: true };
+        }
+
+        // Remove the key in one of an action's slots
+        function clearKey(action, slot) {
+            if (!bindings[action]) return;
+            bindings[action].splice(slot, 1);
+            save();
+        }
+
+        function resetToDefaults() {
+            bindings = copyBindings(defaults);
+            if (storage) {
+                storage.removeItem(storageKey);
+            }
+        }
+
+        // One-line description of the controls, e.g. "← to move left, ↑ / X to rotate, ..."
+        function describe(actions = BINDABLE_ACTIONS.map(entry => entry.action)) {
+            return BINDABLE_ACTIONS
+                .filter(entry => actions.includes(entry.action) && bindings[entry.action] && bindings[entry.action].length > 0)
+                .map(entry => `${bindings[entry.action].map(getKeyName).join(' / ')} to ${entry.help}`)
+                .join(', ');
+        }
+
+        return {
+            getAction: getAction,
+            getKeys: getKeys,
+            setKey: setKey,
+            clearKey: clearKey,
+            resetToDefaults: resetToDefaults,
+            describe: describe
+        };
+    }
+
+    return {
+        STORAGE_KEY: STORAGE_KEY,
+        MAX_KEYS_PER_ACTION: MAX_KEYS_PER_ACTION,
+        BINDABLE_ACTIONS: BINDABLE_ACTIONS,
+        DEFAULT_BINDINGS: DEFAULT_BINDINGS,
+        VERSUS_BINDINGS: VERSUS_BINDINGS,
+        getKeyName: getKeyName,
+        createKeyBindings: createKeyBindings
+    };
+});
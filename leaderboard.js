@@ -0,0 +1,104 @@
+// Liquidity Rush local high-score table
+// Keeps the best results for each game mode in a Storage object (localStorage in the browser).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./storage.js'));
+    } else {
+        root.LiquidityLeaderboard = factory(root.LiquidityStorage);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Storage) {
+    'use strict';
+
+    const STORAGE_KEY = 'liquidityRush.highScores';
+    const STORAGE_VERSION = 1;
+    const DEFAULT_MAX_ENTRIES = 10;
+    const MAX_NAME_LENGTH = 20;
+
+    // Higher score first, longer survival breaks ties, then the earlier entry
+    function compareEntries(a, b) {
+        return b.score - a.score || b.timeSurvived - a.timeSurvived || a.date - b.date;
+    }
+
+    // Create a leaderboard backed by storage (anything with getItem/setItem/removeItem)
+    // options.maxEntries: entries kept for each mode
+    function createLeaderboard(storage, options = {}) {
+        const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+
+        // Read saved tables, starting fresh if nothing (or something unreadable) is stored
+        function load() {
+            const data = Storage.readJson(storage, STORAGE_KEY);
+            if (data && data.version === STORAGE_VERSION && data.modes) {
+                return data;
+            }
+            return { version: STORAGE_VERSION, modes: {} };
+        }
+
+        function save(data) {
+            storage.setItem(STORAGE_KEY, JSON.stringify(data));
+        }
+
+        // Entries for a mode, best first
+        function getEntries(mode) {
+            return load().modes[mode] || [];
+        }
+
+        // Modes that have at least one entry
+        function getModes() {
+            return Object.keys(load().modes);
+        }
+
+        // Check if a score would make it into the table for a mode
+        function qualifies(mode, score) {
+            const entries = getEntries(mode);
+            return entries.length < maxEntries || score > entries[entries.length - 1].score;
+        }
+
+        // Add a result, returns its position in the table (0 = top) or -1 if it didn't make it
+        // entry: { name, score, timeSurvived (seconds), blocksPlaced, endReason }
+        function addEntry(mode, entry) {
+            const data = load();
+            const entries = data.modes[mode] || [];
+            const saved = {
+                name: (String(entry.name || '').trim() || 'Anonymous').slice(0, MAX_NAME_LENGTH),
+                score: entry.score,
+                timeSurvived: entry.timeSurvived,
+                blocksPlaced: entry.blocksPlaced,
+                endReason: entry.endReason || '',
+                date: entry.date !== undefined ? entry.date : Date.now()
+            };
+
+            entries.push(saved);
+            entries.sort(compareEntries);
+            entries.length = Math.min(entries.length, maxEntries);
+            data.modes[mode] = entries;
+            save(data);
+
+            return entries.indexOf(saved);
+        }
+
+        // Clear the table for one mode, or every mode if none is given
+        function clear(mode) {
+            if (mode === undefined) {
+                storage.removeItem(STORAGE_KEY);
+                return;
+            }
+            const data = load();
+            delete data.modes[mode];
+            save(data);
+        }
+
+        return {
+            getEntries: getEntries,
+            getModes: getModes,
+            qualifies: qualifies,
+            addEntry: addEntry,
+            clear: clear
+        };
+    }
+
+    return {
+        STORAGE_KEY: STORAGE_KEY,
+        MAX_NAME_LENGTH: MAX_NAME_LENGTH,
+        createLeaderboard: createLeaderboard
+    };
+});
@@ -0,0 +1,200 @@
+// Liquidity Rush piece generation
+// A seeded source of falling pieces: the same seed always gives the same
+// shapes, cash flow types and spawn columns, in the same order.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LiquidityPieces = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Block shapes (smaller than Tetris to fit narrow column)
+    const BLOCK_SHAPES = [
+        // Line (single block)
+        [[1]],
+        // L-shapes
+        [[1, 0], [1, 1]],
+        [[0, 1], [1, 1]],
+        [[1, 1], [1, 0]],
+        [[1, 1], [0, 1]],
+        // T-shape
+        [[1, 1, 1], [0, 1, 0]],
+        // Square
+        [[1, 1], [1, 1]]
+    ];
+
+    // Names of the shapes in BLOCK_SHAPES, as used by scenario files
+    const SHAPE_NAMES = [
+        'single',
+        'cornerBottomLeft',
+        'cornerBottomRight',
+        'cornerTopLeft',
+        'cornerTopRight',
+        'T',
+        'square'
+    ];
+
+    // Rotation pivot of each shape in BLOCK_SHAPES as [row, col] of the unrotated shape.
+    // The pivot stays on the same board cell as the piece turns, so pieces no longer
+    // jump around the top-left corner. Half cells put the pivot between cells.
+    const SHAPE_PIVOTS = [
+        [0, 0], // Line: the single cell
+        [1, 0], // L-shapes: the corner cell
+        [1, 1],
+        [0, 0],
+        [0, 1],
+        [0, 1], // T-shape: middle of the bar
+        [0.5, 0.5] // Square: its center, so it never moves
+    ];
+
+    // Seeded pseudo-random number generator (mulberry32), returns floats in [0, 1)
+    function createRandom(seed) {
+        let a = seed >>> 0;
+        return function () {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Shape randomizers: each takes the PRNG, shape count and generator options and
+    // returns a function that picks the next shape index
+    const RANDOMIZERS = {
+        // Every shape is drawn once, in shuffled order, before any repeats (7-bag)
+        bag: function (random, shapeCount) {
+            const bag = [];
+            return function () {
+                if (bag.length === 0) {
+                    for (let i = 0; i < shapeCount; i++) {
+                        bag.push(i);
+                    }
+                    // Fisher-Yates shuffle
+                    for (let i = bag.length - 1; i > 0; i--) {
+                        const j = Math.floor(random() * (i + 1));
+                        [bag[i], bag[j]] = [bag[j], bag[i]];
+                    }
+                }
+                return bag.pop();
+            };
+        },
+        // Independent picks, droughts and floods are possible
+        classic: function (random, shapeCount) {
+            return function () {
+                return Math.floor(random() * shapeCount);
+            };
+        },
+        // Independent picks in proportion to options.weights (one weight per shape)
+        weighted: function (random, shapeCount, options) {
+            const weights = options.weights;
+            if (!Array.isArray(weights) || weights.length !== shapeCount ||
+                weights.some(weight => !(weight >= 0)) || !weights.some(weight => weight > 0)) {
+                throw new Error(`Shape weights must be ${shapeCount} numbers, at least one above zero`);
+            }
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+            return function () {
+                let pick = random() * total;
+                for (let i = 0; i < shapeCount; i++) {
+                    pick -= weights[i];
+                    if (pick < 0 && weights[i] > 0) return i;
+                }
+                return weights.map(weight => weight > 0).lastIndexOf(true);
+            };
+        }
+    };
+
+    const DEFAULT_RANDOMIZER = 'bag';
+    const DEFAULT_INFLOW_SHARE = 0.5;
+
+    // Check a scripted piece can be used on a board cols wide, throws if it can't
+    function validateScriptedPiece(piece, index, cols) {
+        const where = `Scripted piece ${index + 1}`;
+        if (!piece || !Number.isInteger(piece.shape) || !BLOCK_SHAPES[piece.shape]) {
+            throw new Error(`${where} has an unknown shape`);
+        }
+        if (piece.type !== undefined && piece.type !== 'inflow' && piece.type !== 'outflow') {
+            throw new Error(`${where} must be 'inflow' or 'outflow'`);
+        }
+        const maxX = cols - BLOCK_SHAPES[piece.shape][0].length;
+        if (piece.x !== undefined && (!Number.isInteger(piece.x) || piece.x < 0 || piece.x > maxX)) {
+            throw new Error(`${where} must spawn in a column from 0 to ${maxX}`);
+        }
+    }
+
+    // Create a piece generator
+    // options.seed: PRNG seed
+    // options.randomizer: key of RANDOMIZERS (defaults to 'bag', or 'weighted' when weights are given)
+    // options.weights: relative chance of each shape for the 'weighted' randomizer
+    // options.inflowShare: chance of a piece being inflow rather than outflow (defaults to 0.5)
+    // options.script: pieces to hand out first, each { shape (index), type?, x? }, missing parts are random
+    // options.loopScript: repeat the script forever instead of going on to random pieces
+    // options.cols: board width in cells, used to pick spawn columns
+    // Pieces are plain descriptors: { shapeIndex, shape, pivot, type, x }
+    function createPieceGenerator(options) {
+        const random = createRandom(options.seed);
+        const randomizerName = options.randomizer || (options.weights ? 'weighted' : DEFAULT_RANDOMIZER);
+        const createRandomizer = RANDOMIZERS[randomizerName];
+        if (!createRandomizer) {
+            throw new Error(`Unknown randomizer: ${randomizerName}`);
+        }
+        const nextShapeIndex = createRandomizer(random, BLOCK_SHAPES.length, options);
+        const inflowShare = options.inflowShare !== undefined ? options.inflowShare : DEFAULT_INFLOW_SHARE;
+        const script = options.script || [];
+        script.forEach((piece, index) => validateScriptedPiece(piece, index, options.cols));
+        let scriptIndex = 0;
+        const queue = [];
+
+        // The next scripted piece, or null once the script has run out
+        function nextScriptedPiece() {
+            if (scriptIndex >= script.length) {
+                if (!options.loopScript || script.length === 0) return null;
+                scriptIndex = 0;
+            }
+            return script[scriptIndex++];
+        }
+
+        function generatePiece() {
+            const scripted = nextScriptedPiece();
+            const shapeIndex = scripted ? scripted.shape : nextShapeIndex();
+            const shape = BLOCK_SHAPES[shapeIndex].map(row => [...row]);
+            const type = scripted && scripted.type ? scripted.type : (random() < inflowShare ? 'inflow' : 'outflow');
+            const maxX = options.cols - shape[0].length;
+            const x = scripted && scripted.x !== undefined ? scripted.x : Math.floor(random() * (maxX + 1));
+            const pivot = [...SHAPE_PIVOTS[shapeIndex]];
+            return { shapeIndex: shapeIndex, shape: shape, pivot: pivot, type: type, x: x };
+        }
+
+        // Look at the next count pieces without taking them
+        function peek(count) {
+            while (queue.length < count) {
+                queue.push(generatePiece());
+            }
+            return queue.slice(0, count);
+        }
+
+        // Take the next piece
+        function next() {
+            peek(1);
+            return queue.shift();
+        }
+
+        return {
+            randomizer: randomizerName,
+            peek: peek,
+            next: next
+        };
+    }
+
+    return {
+        BLOCK_SHAPES: BLOCK_SHAPES,
+        SHAPE_NAMES: SHAPE_NAMES,
+        SHAPE_PIVOTS: SHAPE_PIVOTS,
+        RANDOMIZERS: RANDOMIZERS,
+        DEFAULT_RANDOMIZER: DEFAULT_RANDOMIZER,
+        createRandom: createRandom,
+        createPieceGenerator: createPieceGenerator
+    };
+});
@@ -0,0 +1,122 @@
+// Liquidity Rush plugins
+// Plugins listen to engine events (see events.js) and can add widgets to the side panel HUD.
+// A plugin is { name, setup(api) }, registered from a script loaded after game.js:
+//
+//     liquidityRush.registerPlugin({
+//         name: 'inflow-counter',
+//         setup(api) {
+//             let inflows = 0;
+//             api.on('gameStarted', () => { inflows = 0; });
+//             api.on('pieceLocked', (event) => { if (event.type === 'inflow') inflows++; });
+//             api.addWidget({ title: 'Inflows', render: () => String(inflows) });
+//         }
+//     });
+//
+// Listeners stay registered across games: the manager moves them to each new engine.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LiquidityPlugins = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Create a plugin manager
+    // options.container: element widgets are added to
+    // options.onError(pluginName, error): called when a plugin throws, the game carries on
+    function createPluginManager(options) {
+        const container = options.container;
+        const onError = options.onError || ((name, error) => console.error(`Plugin ${name} failed:`, error));
+        const plugins = [];
+        const handlers = []; // { plugin, event, listener }
+        const widgets = []; // { plugin, content, render }
+        let engine = null;
+        let unsubscribers = [];
+
+        // Run plugin code, reporting instead of throwing if it fails
+        function guard(plugin, fn) {
+            try {
+                return fn();
+            } catch (e) {
+                onError(plugin.name, e);
+                return undefined;
+            }
+        }
+
+        function subscribe(handler) {
+            unsubscribers.push(engine.on(handler.event, data => guard(handler.plugin, () => handler.listener(data))));
+        }
+
+        // Add a plugin, throws if it isn't a plugin or its name is taken
+        function register(plugin) {
+            if (!plugin || typeof plugin.name !== 'string' || typeof plugin.setup !== 'function') {
+                throw new Error('A plugin needs a name and a setup(api) function');
+            }
+            if (plugins.some(existing => existing.name === plugin.name)) {
+                throw new Error(`Plugin already registered: ${plugin.name}`);
+            }
+            plugins.push(plugin);
+
+            const api = {
+                // Listen to an engine event in this and every later game
+                on(event, listener) {
+                    const handler = { plugin: plugin, event: event, listener: listener };
+                    handlers.push(handler);
+                    if (engine) {
+                        subscribe(handler);
+                    }
+                },
+                // Add a HUD widget, render(state) returns text or a DOM node and is called on every HUD update
+                addWidget(widget) {
+                    const element = container.ownerDocument.createElement('div');
+                    element.className = 'plugin-widget';
+                    if (widget.title) {
+                        const title = container.ownerDocument.createElement('div');
+                        title.className = 'panel-label';
+                        title.textContent = widget.title;
+                        element.appendChild(title);
+                    }
+                    const content = container.ownerDocument.createElement('div');
+                    element.appendChild(content);
+                    container.appendChild(element);
+                    widgets.push({ plugin: plugin, content: content, render: widget.render });
+                }
+            };
+            guard(plugin, () => plugin.setup(api));
+        }
+
+        // Move every plugin listener over to a new engine
+        function attach(newEngine) {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            unsubscribers = [];
+            engine = newEngine;
+            handlers.forEach(subscribe);
+        }
+
+        // Redraw the widgets from the latest engine state
+        function update(state) {
+            widgets.forEach(widget => {
+                const output = guard(widget.plugin, () => widget.render(state));
+                if (output === undefined || output === null) return;
+                if (typeof output === 'object' && output.nodeType) {
+                    if (widget.content.firstChild !== output) {
+                        widget.content.replaceChildren(output);
+                    }
+                } else {
+                    widget.content.textContent = String(output);
+                }
+            });
+        }
+
+        return {
+            register: register,
+            attach: attach,
+            update: update
+        };
+    }
+
+    return {
+        createPluginManager: createPluginManager
+    };
+});
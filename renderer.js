@@ -0,0 +1,226 @@
+// Liquidity Rush canvas renderer
+// Draws the board in layers so a frame only repaints what changed. Each cell skin is painted
+// once per palette, size and pixel ratio to an offscreen canvas and stamped from there, the
+// background with the bands is cached until the bands move, and the stack until the engine's
+// stackVersion changes. Canvases are sized in board pixels with devicePixelRatio times as many
+// pixels behind them, so they stay sharp on high-DPI screens.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LiquidityRenderer = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const BACKGROUND_COLOR = '#1a1a2e';
+
+    function getPixelRatio() {
+        return (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    }
+
+    // Size a canvas to width x height board pixels (on screen, in CSS pixels) backed by
+    // pixelRatio times as many. Returns its context, set up to draw in board pixels
+    function fitCanvas(canvas, width, height, pixelRatio = getPixelRatio()) {
+        canvas.width = Math.round(width * pixelRatio);
+        canvas.height = Math.round(height * pixelRatio);
+        // Only the width is set, so stylesheets can still shrink the canvas and keep its shape
+        canvas.style.width = `${width}px`;
+        const context = canvas.getContext('2d');
+        context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        return context;
+    }
+
+    // An offscreen canvas of width x height board pixels: { canvas, context }
+    function createLayer(width, height, pixelRatio) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * pixelRatio);
+        canvas.height = Math.round(height * pixelRatio);
+        const context = canvas.getContext('2d');
+        context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        return { canvas: canvas, context: context };
+    }
+
+    // Paint a dollar bill cell at the origin in a palette's colors for its type (see accessibility.js)
+    function paintCell(context, colors, size) {
+        // Base rectangle with a gradient (dollar bill color)
+        const gradient = context.createLinearGradient(0, 0, size, size);
+        gradient.addColorStop(0, colors.base);
+        gradient.addColorStop(0.5, colors.mid);
+        gradient.addColorStop(1, colors.dark);
+
+        context.fillStyle = gradient;
+        context.fillRect(1, 1, size - 2, size - 2);
+
+        // Border (dollar bill edge)
+        context.strokeStyle = colors.border;
+        context.lineWidth = 1.5;
+        context.strokeRect(0.5, 0.5, size - 1, size - 1);
+
+        // Horizontal lines (bill texture)
+        context.strokeStyle = colors.texture;
+        context.lineWidth = 0.5;
+        for (let i = 0; i < 3; i++) {
+            const offsetY = 2 + (i * (size - 4) / 2);
+            context.beginPath();
+            context.moveTo(2, offsetY);
+            context.lineTo(size - 2, offsetY);
+            context.stroke();
+        }
+
+        // Dollar sign (or the palette's symbol for the type)
+        context.fillStyle = colors.sign;
+        context.font = `${size * 0.5}px Arial`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(colors.symbol, size / 2, size / 2);
+    }
+
+    // Painted cells per palette colors object, then per size and pixel ratio
+    const cellSkins = new WeakMap();
+
+    function getCellSkin(colors, size, pixelRatio) {
+        if (!cellSkins.has(colors)) {
+            cellSkins.set(colors, new Map());
+        }
+        const skins = cellSkins.get(colors);
+        const key = `${size}@${pixelRatio}`;
+        if (!skins.has(key)) {
+            const layer = createLayer(size, size, pixelRatio);
+            paintCell(layer.context, colors, size);
+            skins.set(key, layer.canvas);
+        }
+        return skins.get(key);
+    }
+
+    // Stamp a cell skin at x, y (board pixels), at the resolution the context is scaled to
+    function drawCell(context, colors, x, y, size) {
+        const pixelRatio = context.getTransform().a;
+        context.drawImage(getCellSkin(colors, size, pixelRatio), x, y, size, size);
+    }
+
+    // Paint the background with the safe zone, the zones outside it and the two lines
+    function paintBackground(context, geometry, bands, palette) {
+        const colors = palette.bands;
+
+        context.fillStyle = BACKGROUND_COLOR;
+        context.fillRect(0, 0, geometry.width, geometry.height);
+
+        // Safe zone (between the two lines)
+        const safeGradient = context.createLinearGradient(0, bands.excessCashY, 0, bands.overdraftY);
+        safeGradient.addColorStop(0, `rgba(${colors.safe}, 0.15)`);
+        safeGradient.addColorStop(0.5, `rgba(${colors.safe}, 0.25)`);
+        safeGradient.addColorStop(1, `rgba(${colors.safe}, 0.15)`);
+        context.fillStyle = safeGradient;
+        context.fillRect(0, bands.excessCashY, geometry.width, bands.overdraftY - bands.excessCashY);
+
+        // Excess cash zone (above the safe zone)
+        const excessGradient = context.createLinearGradient(0, 0, 0, bands.excessCashY);
+        excessGradient.addColorStop(0, `rgba(${colors.excessCash}, 0.2)`);
+        excessGradient.addColorStop(1, `rgba(${colors.excessCash}, 0.1)`);
+        context.fillStyle = excessGradient;
+        context.fillRect(0, 0, geometry.width, bands.excessCashY);
+
+        // Overdraft zone (below the safe zone)
+        const overdraftGradient = context.createLinearGradient(0, bands.overdraftY, 0, geometry.height);
+        overdraftGradient.addColorStop(0, `rgba(${colors.overdraft}, 0.1)`);
+        overdraftGradient.addColorStop(1, `rgba(${colors.overdraft}, 0.2)`);
+        context.fillStyle = overdraftGradient;
+        context.fillRect(0, bands.overdraftY, geometry.width, geometry.height - bands.overdraftY);
+
+        // The lines
+        context.lineWidth = palette.bandLineWidth;
+        [[bands.excessCashY, colors.excessCash], [bands.overdraftY, colors.overdraft]].forEach(([y, color]) => {
+            context.strokeStyle = `rgb(${color})`;
+            context.beginPath();
+            context.moveTo(0, y);
+            context.lineTo(geometry.width, y);
+            context.stroke();
+        });
+
+        // Labels, above the excess cash line and below the overdraft line
+        context.fillStyle = '#fff';
+        context.font = 'bold 14px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText('EXCESS CASH', geometry.width / 2, bands.excessCashY - 8);
+        context.fillText('OVERDRAFT', geometry.width / 2, bands.overdraftY + 20);
+    }
+
+    // Create a renderer for a board canvas
+    function createBoardRenderer(canvas) {
+        let context = null;
+        let geometry = null;
+        let pixelRatio = null;
+        let background = null; // { layer, key, palette }
+        let stack = null; // { layer, version, palette }
+
+        // Size the canvas for a board geometry (from createBoardGeometry() or getState().board).
+        // Cheap to call every frame: it only resizes when the board or the pixel ratio changed
+        // (e.g. the page was zoomed or moved to another screen). Returns the canvas context
+        function resize(board) {
+            const ratio = getPixelRatio();
+            if (geometry && geometry.width === board.width && geometry.height === board.height && pixelRatio === ratio) {
+                return context;
+            }
+            geometry = { width: board.width, height: board.height };
+            pixelRatio = ratio;
+            context = fitCanvas(canvas, geometry.width, geometry.height, pixelRatio);
+            background = { layer: createLayer(geometry.width, geometry.height, pixelRatio), key: null, palette: null };
+            stack = { layer: createLayer(geometry.width, geometry.height, pixelRatio), version: null, palette: null };
+            return context;
+        }
+
+        // Forget the cached layers, e.g. when a different game is shown (stack versions
+        // only count within one engine)
+        function invalidate() {
+            if (background) background.key = null;
+            if (stack) stack.version = null;
+        }
+
+        // Draw the background and bands ({ excessCashY, overdraftY }), repainted only when they move
+        function drawBackground(bands, palette) {
+            const key = `${bands.excessCashY}/${bands.overdraftY}`;
+            if (background.key !== key || background.palette !== palette) {
+                paintBackground(background.layer.context, geometry, bands, palette);
+                background.key = key;
+                background.palette = palette;
+            }
+            context.drawImage(background.layer.canvas, 0, 0, geometry.width, geometry.height);
+        }
+
+        // Draw the stacked cells, repainted only when the engine's stackVersion changes
+        function drawStack(stackedBlocks, version, palette, cellSize) {
+            if (stack.version !== version || stack.palette !== palette) {
+                const layerContext = stack.layer.context;
+                layerContext.clearRect(0, 0, geometry.width, geometry.height);
+                stackedBlocks.forEach((cells, row) => {
+                    if (!cells) return;
+                    cells.forEach((cell, col) => {
+                        if (cell) {
+                            drawCell(layerContext, palette.cells[cell.type], col * cellSize, row * cellSize, cellSize);
+                        }
+                    });
+                });
+                stack.version = version;
+                stack.palette = palette;
+            }
+            context.drawImage(stack.layer.canvas, 0, 0, geometry.width, geometry.height);
+        }
+
+        return {
+            resize: resize,
+            invalidate: invalidate,
+            getPixelRatio: () => pixelRatio,
+            drawBackground: drawBackground,
+            drawStack: drawStack
+        };
+    }
+
+    return {
+        getPixelRatio: getPixelRatio,
+        fitCanvas: fitCanvas,
+        drawCell: drawCell,
+        createBoardRenderer: createBoardRenderer
+    };
+});
@@ -0,0 +1,221 @@
+// Liquidity Rush input recording and replay
+// A game is fully determined by its engine options (including the seed) and the inputs
+// applied between ticks, so a recording only stores those. Playing it back rebuilds the
+// same engine and feeds it the same inputs at the same ticks.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'));
+    } else {
+        root.LiquidityReplay = factory(root.LiquidityEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Engine) {
+    'use strict';
+
+    const REPLAY_FORMAT = 'liquidity-rush-replay';
+    const REPLAY_VERSION = 1;
+
+    // Engine options that only make sense for a live game and are left out of recordings
+    const UNRECORDED_OPTIONS = ['now', 'snapshot'];
+
+    // Create an engine that records every accepted input
+    // Takes the same options as Engine.createEngine() and adds getRecording()
+    // previous: the recording so far when carrying on a saved game (options.snapshot), so the
+    // finished recording still plays back from the start
+    function createRecordingEngine(options = {}, previous = null) {
+        const settings = {};
+        Object.keys(options).forEach(key => {
+            if (!UNRECORDED_OPTIONS.includes(key)) {
+                settings[key] = options[key];
+            }
+        });
+        if (settings.seed === undefined) {
+            settings.seed = 1;
+        }
+
+        const engine = Engine.createEngine(options);
+        const inputs = previous ? previous.inputs.map(input => [...input]) : []; // [ticks since previous input, action]
+        let lastInputTick = inputs.reduce((tick, [delta]) => tick + delta, 0);
+
+        function applyInput(action) {
+            const applied = engine.applyInput(action);
+            if (applied) {
+                const tick = engine.getTicks();
+                inputs.push([tick - lastInputTick, action]);
+                lastInputTick = tick;
+            }
+            return applied;
+        }
+
+        // The recording so far, as a plain object ready for JSON.stringify
+        function getRecording() {
+            const state = engine.getState();
+            return {
+                format: REPLAY_FORMAT,
+                version: REPLAY_VERSION,
+                tickDuration: Engine.TICK_DURATION,
+                settings: JSON.parse(JSON.stringify(settings)),
+                inputs: inputs.map(input => [...input]),
+                totalTicks: state.ticks,
+                result: {
+                    score: state.score.total,
+                    blocksPlaced: state.blocksPlaced,
+                    endReason: state.endReason
+                }
+            };
+        }
+
+        // Pausing drops a held soft drop inside the engine, record that as an input too
+        function setPaused(paused) {
+            if (paused) {
+                applyInput(Engine.ACTIONS.SOFT_DROP_END);
+            }
+            engine.setPaused(paused);
+        }
+
+        return Object.assign({}, engine, {
+            applyInput: applyInput,
+            setPaused: setPaused,
+            getRecording: getRecording
+        });
+    }
+
+    // Check a recording (e.g. parsed from a file) can be played, throws if it can't
+    function validateRecording(recording) {
+        if (!recording || recording.format !== REPLAY_FORMAT) {
+            throw new Error('Not a Liquidity Rush replay');
+        }
+        if (recording.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${recording.version}`);
+        }
+        if (recording.tickDuration !== Engine.TICK_DURATION) {
+            throw new Error('Replay was recorded with a different engine tick rate');
+        }
+        if (!recording.settings || !Array.isArray(recording.inputs) || typeof recording.totalTicks !== 'number') {
+            throw new Error('Replay file is incomplete');
+        }
+        return recording;
+    }
+
+    // Create a player for a recording
+    // The player owns its own engine; seek() rebuilds it from the start when going backwards
+    function createReplayPlayer(recording) {
+        validateRecording(recording);
+
+        // Absolute tick of every input
+        const inputs = [];
+        let tick = 0;
+        recording.inputs.forEach(([delta, action]) => {
+            tick += delta;
+            inputs.push({ tick: tick, action: action });
+        });
+
+        let engine = null;
+        let nextInput = 0; // index of the next input to apply
+        let playing = false;
+        let speed = 1;
+        let carry = 0; // milliseconds of playback that haven't made up a full tick yet
+
+        function restart() {
+            engine = Engine.createEngine(recording.settings);
+            nextInput = 0;
+        }
+
+        // Apply every input recorded at the engine's current tick
+        function applyDueInputs() {
+            while (nextInput < inputs.length && inputs[nextInput].tick === engine.getTicks()) {
+                engine.applyInput(inputs[nextInput].action);
+                nextInput++;
+            }
+        }
+
+        // Jump to a tick, replaying from the start if it's behind the current one
+        function seek(targetTick) {
+            targetTick = Math.max(0, Math.min(recording.totalTicks, Math.floor(targetTick)));
+            if (targetTick < engine.getTicks()) {
+                restart();
+            }
+            carry = 0;
+
+            // Step straight to the next input (or the target), the engine stops ticking at game over
+            applyDueInputs();
+            while (engine.getTicks() < targetTick) {
+                const before = engine.getTicks();
+                const stopTick = nextInput < inputs.length ? Math.min(inputs[nextInput].tick, targetTick) : targetTick;
+                engine.step((stopTick - before) * Engine.TICK_DURATION);
+                if (engine.getTicks() === before) break;
+                applyDueInputs();
+            }
+        }
+
+        // Move playback on by dt milliseconds of real time (scaled by the speed) while playing
+        function advance(dt) {
+            if (!playing) return;
+
+            carry += dt * speed;
+            const ticksToPlay = Math.floor(carry / Engine.TICK_DURATION);
+            carry -= ticksToPlay * Engine.TICK_DURATION;
+            seek(engine.getTicks() + ticksToPlay);
+
+            if (isFinished()) {
+                playing = false;
+            }
+        }
+
+        function isFinished() {
+            return engine.getTicks() >= recording.totalTicks || engine.getState().gameOver;
+        }
+
+        function play() {
+            if (isFinished()) {
+                seek(0);
+            }
+            playing = true;
+        }
+
+        function pause() {
+            playing = false;
+        }
+
+        function isPlaying() {
+            return playing;
+        }
+
+        // Playback speed multiplier, 1 = real time
+        function setSpeed(value) {
+            speed = value;
+        }
+
+        function getTick() {
+            return engine.getTicks();
+        }
+
+        function getState() {
+            return engine.getState();
+        }
+
+        restart();
+        applyDueInputs();
+
+        return {
+            recording: recording,
+            totalTicks: recording.totalTicks,
+            getTick: getTick,
+            getState: getState,
+            isPlaying: isPlaying,
+            isFinished: isFinished,
+            setSpeed: setSpeed,
+            play: play,
+            pause: pause,
+            seek: seek,
+            advance: advance
+        };
+    }
+
+    return {
+        REPLAY_FORMAT: REPLAY_FORMAT,
+        REPLAY_VERSION: REPLAY_VERSION,
+        createRecordingEngine: createRecordingEngine,
+        validateRecording: validateRecording,
+        createReplayPlayer: createReplayPlayer
+    };
+});
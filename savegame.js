@@ -0,0 +1,98 @@
+// Liquidity Rush saved games
+// A save holds the engine snapshot (see getSnapshot() in engine.js) and the recording so far,
+// so a resumed game carries on exactly where it stopped and its replay still starts at the beginning.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'), require('./replay.js'), require('./storage.js'));
+    } else {
+        root.LiquiditySaveGame = factory(root.LiquidityEngine, root.LiquidityReplay, root.LiquidityStorage);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Engine, Replay, Storage) {
+    'use strict';
+
+    const SAVE_FORMAT = 'liquidity-rush-save';
+    const SAVE_VERSION = 1;
+    const STORAGE_KEY = 'liquidityRush.savedGame';
+
+    // Save a game from a recording engine (see replay.js), throws if the game is over
+    // details: whatever the front end needs to show the game again, e.g. { mode }
+    function createSave(engine, details = {}) {
+        if (engine.getState().gameOver) {
+            throw new Error('A finished game cannot be saved');
+        }
+        return {
+            format: SAVE_FORMAT,
+            version: SAVE_VERSION,
+            tickDuration: Engine.TICK_DURATION,
+            details: JSON.parse(JSON.stringify(details)),
+            recording: engine.getRecording(),
+            snapshot: engine.getSnapshot()
+        };
+    }
+
+    // Check a save (e.g. parsed from storage) can be resumed, throws if it can't
+    function validateSave(save) {
+        if (!save || save.format !== SAVE_FORMAT) {
+            throw new Error('Not a Liquidity Rush save');
+        }
+        if (save.version !== SAVE_VERSION) {
+            throw new Error(`Unsupported save version: ${save.version}`);
+        }
+        if (save.tickDuration !== Engine.TICK_DURATION) {
+            throw new Error('Game was saved with a different engine tick rate');
+        }
+        if (!save.snapshot || !save.details) {
+            throw new Error('Save is incomplete');
+        }
+        Replay.validateRecording(save.recording);
+        return save;
+    }
+
+    // Rebuild a recording engine that carries on the saved game, throws if it can't be resumed
+    // options: extra engine options for the live game, e.g. { now }
+    function resumeGame(save, options = {}) {
+        validateSave(save);
+        const engineOptions = Object.assign({}, save.recording.settings, options, { snapshot: save.snapshot });
+        return Replay.createRecordingEngine(engineOptions, save.recording);
+    }
+
+    // Keep one save in a Storage object (localStorage in the browser)
+    function createSaveSlot(storage) {
+        // Throws if storage is full or unavailable
+        function save(data) {
+            storage.setItem(STORAGE_KEY, JSON.stringify(data));
+        }
+
+        // The stored save, or null if there is none or it can't be read. A save that can't be used is removed
+        function load() {
+            const data = Storage.readJson(storage, STORAGE_KEY);
+            if (data === null) return null;
+            try {
+                return validateSave(data);
+            } catch (e) {
+                storage.removeItem(STORAGE_KEY);
+                return null;
+            }
+        }
+
+        function clear() {
+            storage.removeItem(STORAGE_KEY);
+        }
+
+        return {
+            save: save,
+            load: load,
+            clear: clear
+        };
+    }
+
+    return {
+        SAVE_FORMAT: SAVE_FORMAT,
+        SAVE_VERSION: SAVE_VERSION,
+        STORAGE_KEY: STORAGE_KEY,
+        createSave: createSave,
+        validateSave: validateSave,
+        resumeGame: resumeGame,
+        createSaveSlot: createSaveSlot
+    };
+});
@@ -0,0 +1,164 @@
+// Liquidity Rush scenario files
+// A scenario is a JSON file that sets up a game: the starting board, the pieces that
+// come down, where the bands are, how fast pieces fall and what it takes to win.
+// Scenarios are turned into engine options, so recordings of them replay like any game.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'), require('./pieces.js'));
+    } else {
+        root.LiquidityScenarios = factory(root.LiquidityEngine, root.LiquidityPieces);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Engine, Pieces) {
+    'use strict';
+
+    const SCENARIO_FORMAT = 'liquidity-rush-scenario';
+    const SCENARIO_VERSION = 1;
+
+    // Example of every field (all but format, version and name are optional):
+    // {
+    //     "format": "liquidity-rush-scenario",
+    //     "version": 1,
+    //     "id": "month-end-squeeze",
+    //     "name": "Month-End Squeeze",
+    //     "description": "Payroll is due. Keep the stack inside the bands as they close in.",
+    //     "board": {
+    //         "cols": 10, "rows": 20, "excessCashLine": 0.2, "overdraftLine": 0.8, "bands": "monthEnd",
+    //         "initial": ["IIII..OOOO", "IOIOIOIO.I"]
+    //     },
+    //     "pieces": {
+    //         "script": [{ "shape": "T", "type": "outflow", "x": 4 }, { "shape": "square" }],
+    //         "loop": false,
+    //         "randomizer": "weighted",
+    //         "weights": { "single": 1, "T": 2, "square": 2 },
+    //         "inflowShare": 0.4
+    //     },
+    //     "gravity": 500,
+    //     "gracePeriodBlocks": 5,
+    //     "startingBalance": 1000,
+    //     "balanceRules": true,
+    //     "levelBy": "time",
+    //     "win": { "surviveSeconds": 90, "clearRows": 10 }
+    // }
+
+    // Shape index for a shape name (or index) used in a scenario file
+    function getShapeIndex(shape) {
+        const index = typeof shape === 'number' ? shape : Pieces.SHAPE_NAMES.indexOf(shape);
+        if (!Pieces.BLOCK_SHAPES[index]) {
+            throw new Error(`Unknown shape: ${shape} (expected one of ${Pieces.SHAPE_NAMES.join(', ')})`);
+        }
+        return index;
+    }
+
+    // Throw unless an optional number field is left out or passes its check
+    function checkNumber(name, value, isValid, expected) {
+        if (value !== undefined && !(typeof value === 'number' && isValid(value))) {
+            throw new Error(`${name} must be ${expected}`);
+        }
+    }
+
+    // Engine options for the pieces section of a scenario
+    function getPieceOptions(pieces) {
+        checkNumber('Inflow share', pieces.inflowShare, value => value >= 0 && value <= 1, 'a number from 0 to 1');
+        // Only the weighted randomizer (the one used when weights are given) looks at the weights
+        if (pieces.weights !== undefined && pieces.randomizer !== undefined && pieces.randomizer !== 'weighted') {
+            throw new Error(`Piece weights only work with the weighted randomizer, not ${pieces.randomizer}`);
+        }
+
+        const options = {};
+        if (pieces.randomizer !== undefined) options.randomizer = pieces.randomizer;
+        if (pieces.inflowShare !== undefined) options.inflowShare = pieces.inflowShare;
+        if (pieces.weights !== undefined) {
+            options.shapeWeights = Pieces.SHAPE_NAMES.map(name => pieces.weights[name] || 0);
+            Object.keys(pieces.weights).forEach(getShapeIndex);
+        }
+        if (pieces.script !== undefined) {
+            if (!Array.isArray(pieces.script)) {
+                throw new Error('The piece script must be a list of pieces');
+            }
+            options.pieceScript = pieces.script.map(piece => {
+                const scripted = { shape: getShapeIndex(piece.shape) };
+                if (piece.type !== undefined) scripted.type = piece.type;
+                if (piece.x !== undefined) scripted.x = piece.x;
+                return scripted;
+            });
+            options.loopPieceScript = Boolean(pieces.loop);
+        }
+        return options;
+    }
+
+    // Check a scenario (e.g. parsed from a file) and turn it into
+    // { id, name, description, engineOptions }, throws if it can't be played
+    function parseScenario(data) {
+        if (!data || data.format !== SCENARIO_FORMAT) {
+            throw new Error('Not a Liquidity Rush scenario');
+        }
+        if (data.version !== SCENARIO_VERSION) {
+            throw new Error(`Unsupported scenario version: ${data.version}`);
+        }
+        if (typeof data.name !== 'string' || data.name.trim() === '') {
+            throw new Error('Scenario needs a name');
+        }
+
+        checkNumber('Gravity', data.gravity, value => value > 0, 'a number of milliseconds above zero');
+        checkNumber('Grace period', data.gracePeriodBlocks, value => Number.isInteger(value) && value >= 0, 'a whole number of blocks, zero or more');
+        checkNumber('Starting balance', data.startingBalance, Number.isFinite, 'a number');
+
+        const board = data.board || {};
+        const engineOptions = Object.assign({
+            cols: board.cols,
+            rows: board.rows,
+            excessCashLine: board.excessCashLine,
+            overdraftLine: board.overdraftLine,
+            bandScenario: board.bands,
+            initialBoard: board.initial,
+            dropInterval: data.gravity,
+            gracePeriodBlocks: data.gracePeriodBlocks,
+            startingBalance: data.startingBalance,
+            useBalanceRules: data.balanceRules,
+            levelBy: data.levelBy
+        }, getPieceOptions(data.pieces || {}));
+
+        const win = data.win || {};
+        ['surviveSeconds', 'clearRows'].forEach(key => {
+            checkNumber(`Win condition ${key}`, win[key], value => value > 0, 'a number above zero');
+        });
+        const winConditions = {};
+        if (win.surviveSeconds !== undefined) winConditions.surviveTime = win.surviveSeconds * 1000;
+        if (win.clearRows !== undefined) winConditions.clearRows = win.clearRows;
+        if (Object.keys(winConditions).length > 0) {
+            engineOptions.winConditions = winConditions;
+        }
+
+        // Leave unset options out so the engine defaults apply (and recordings stay small)
+        Object.keys(engineOptions).forEach(key => {
+            if (engineOptions[key] === undefined) delete engineOptions[key];
+        });
+
+        // The engine checks the board, bands and pieces
+        Engine.createEngine(engineOptions);
+
+        return {
+            id: data.id || data.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+            name: data.name.trim(),
+            description: data.description || '',
+            engineOptions: engineOptions
+        };
+    }
+
+    // Short description of what it takes to win, e.g. "Survive 90s or clear 10 rows"
+    function describeWinConditions(winConditions) {
+        const goals = [];
+        if (winConditions.surviveTime !== undefined) goals.push(`survive ${winConditions.surviveTime / 1000}s`);
+        if (winConditions.clearRows !== undefined) goals.push(`clear ${winConditions.clearRows} rows`);
+        if (goals.length === 0) return 'Survive as long as you can';
+        const text = goals.join(' or ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    return {
+        SCENARIO_FORMAT: SCENARIO_FORMAT,
+        SCENARIO_VERSION: SCENARIO_VERSION,
+        parseScenario: parseScenario,
+        describeWinConditions: describeWinConditions
+    };
+});
@@ -0,0 +1,29 @@
+// Liquidity Rush storage
+// Settings, high scores and saves are kept as JSON in a Storage object (localStorage in the browser).
+// Reading one never throws: missing, corrupt or unreachable data all read as the fallback.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LiquidityStorage = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // The value stored as JSON under a key, or the fallback if there's none or it can't be read
+    // storage: anything with getItem, or null when there is no storage
+    function readJson(storage, key, fallback = null) {
+        if (!storage) return fallback;
+        try {
+            const value = JSON.parse(storage.getItem(key));
+            return value === null ? fallback : value;
+        } catch (e) {
+            // Corrupt data is treated the same as no data
+            return fallback;
+        }
+    }
+
+    return {
+        readJson: readJson
+    };
+});
@@ -0,0 +1,197 @@
+// Liquidity Rush session telemetry
+// Samples a game over time (stack height, bands, warning timer, blocks, rows and the
+// inflow/outflow mix) for the post-game dashboard, with CSV and JSON export.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'));
+    } else {
+        root.LiquidityTelemetry = factory(root.LiquidityEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Engine) {
+    'use strict';
+
+    const EVENTS = Engine.EVENTS;
+
+    const TELEMETRY_FORMAT = 'liquidity-rush-telemetry';
+    const TELEMETRY_VERSION = 1;
+    const DEFAULT_SAMPLE_INTERVAL = 500; // milliseconds of game time between samples
+
+    // Columns of a sample, in CSV order
+    const SAMPLE_FIELDS = [
+        'time',
+        'stackTopY',
+        'stackHeight',
+        'excessCashHeight',
+        'overdraftHeight',
+        'warningActive',
+        'warningRemaining',
+        'warningCause',
+        'blocksPlaced',
+        'rowsCleared',
+        'inflowPieces',
+        'outflowPieces',
+        'inflowOutflowRatio',
+        'balance'
+    ];
+
+    // Inflow pieces per outflow piece, null until there has been an outflow
+    function getFlowRatio(inflow, outflow) {
+        return outflow > 0 ? inflow / outflow : null;
+    }
+
+    // Create a recorder for one game
+    // Call attach(engine) when the game starts and record(state) with every new engine state
+    // options.sampleInterval: milliseconds of game time between samples
+    // previous: getData() so far when carrying on a saved game, so the dashboard still covers all of it
+    function createTelemetryRecorder(options = {}, previous = null) {
+        const sampleInterval = previous ? previous.sampleInterval : options.sampleInterval || DEFAULT_SAMPLE_INTERVAL;
+        const samples = previous ? previous.samples.map(sample => Object.assign({}, sample)) : [];
+        const warnings = previous ? previous.warnings.map(warning => Object.assign({}, warning)) : []; // { start, end, duration, cause, outcome: 'cancelled' | 'expired' | 'gameOver' | null while running }
+        const flow = { inflowPieces: 0, outflowPieces: 0, inflowAmount: 0, outflowAmount: 0 };
+        if (previous) {
+            Object.keys(flow).forEach(key => {
+                flow[key] = previous.summary[key];
+            });
+        }
+        let nextSampleTime = samples.length > 0 ? samples[samples.length - 1].time + sampleInterval : 0;
+        let board = previous ? previous.board : null;
+        let finalState = null;
+
+        function onPieceLocked(event) {
+            if (event.type === 'inflow') {
+                flow.inflowPieces++;
+                flow.inflowAmount += event.amount;
+            } else {
+                flow.outflowPieces++;
+                flow.outflowAmount += event.amount;
+            }
+        }
+
+        function onWarningStarted(event) {
+            warnings.push({ start: event.time, end: null, duration: event.duration, cause: event.cause, outcome: null });
+        }
+
+        function endWarning(time, outcome) {
+            const warning = warnings[warnings.length - 1];
+            if (warning && warning.end === null) {
+                warning.end = time;
+                warning.outcome = outcome;
+            }
+        }
+
+        function attach(engine) {
+            engine.on(EVENTS.PIECE_LOCKED, onPieceLocked);
+            engine.on(EVENTS.WARNING_STARTED, onWarningStarted);
+            engine.on(EVENTS.WARNING_CANCELLED, event => endWarning(event.time, 'cancelled'));
+            engine.on(EVENTS.GAME_OVER, event => {
+                const warning = warnings[warnings.length - 1];
+                const expired = warning && event.time >= warning.start + warning.duration;
+                endWarning(event.time, expired ? 'expired' : 'gameOver');
+            });
+        }
+
+        // Heights are in rows above the floor, so higher numbers mean a taller stack
+        function takeSample(state) {
+            const toHeight = y => state.board.rows - y / Engine.CELL_SIZE;
+            samples.push({
+                time: state.time,
+                stackTopY: state.topBlockY,
+                stackHeight: state.topBlockY === null ? 0 : toHeight(state.topBlockY),
+                excessCashHeight: toHeight(state.bands.excessCashY),
+                overdraftHeight: toHeight(state.bands.overdraftY),
+                warningActive: state.warningRemaining !== null,
+                warningRemaining: state.warningRemaining,
+                warningCause: state.warningCause,
+                blocksPlaced: state.blocksPlaced,
+                rowsCleared: state.rowsCleared,
+                inflowPieces: flow.inflowPieces,
+                outflowPieces: flow.outflowPieces,
+                inflowOutflowRatio: getFlowRatio(flow.inflowPieces, flow.outflowPieces),
+                balance: state.balance
+            });
+        }
+
+        // Take a sample whenever sampleInterval of game time has passed, and one at the end
+        function record(state) {
+            if (finalState !== null) return;
+
+            board = state.board;
+            if (state.time >= nextSampleTime || state.gameOver) {
+                takeSample(state);
+                nextSampleTime = state.time + sampleInterval;
+            }
+            if (state.gameOver) {
+                finalState = state;
+            }
+        }
+
+        // Totals and averages over the whole game
+        function getSummary() {
+            const last = samples[samples.length - 1];
+            const duration = last ? last.time : 0;
+            const heights = samples.map(sample => sample.stackHeight);
+            const inSafeZone = samples.filter(sample =>
+                sample.stackHeight > 0 && sample.stackHeight <= sample.excessCashHeight && sample.stackHeight >= sample.overdraftHeight).length;
+            const warningTime = warnings.reduce((sum, warning) => sum + ((warning.end !== null ? warning.end : duration) - warning.start), 0);
+
+            return {
+                duration: duration,
+                score: finalState ? finalState.score.total : null,
+                endReason: finalState ? finalState.endReason : null,
+                blocksPlaced: last ? last.blocksPlaced : 0,
+                rowsCleared: last ? last.rowsCleared : 0,
+                inflowPieces: flow.inflowPieces,
+                outflowPieces: flow.outflowPieces,
+                inflowOutflowRatio: getFlowRatio(flow.inflowPieces, flow.outflowPieces),
+                inflowAmount: flow.inflowAmount,
+                outflowAmount: flow.outflowAmount,
+                maxStackHeight: heights.length > 0 ? Math.max(...heights) : 0,
+                averageStackHeight: heights.length > 0 ? heights.reduce((sum, height) => sum + height, 0) / heights.length : 0,
+                safeZoneShare: samples.length > 0 ? inSafeZone / samples.length : 0,
+                warnings: warnings.length,
+                warningsCancelled: warnings.filter(warning => warning.outcome === 'cancelled').length,
+                warningTime: warningTime
+            };
+        }
+
+        // Everything recorded, as a plain object ready for JSON.stringify
+        function getData() {
+            return {
+                format: TELEMETRY_FORMAT,
+                version: TELEMETRY_VERSION,
+                sampleInterval: sampleInterval,
+                board: board && Object.assign({}, board),
+                summary: getSummary(),
+                warnings: warnings.map(warning => Object.assign({}, warning)),
+                samples: samples.map(sample => Object.assign({}, sample))
+            };
+        }
+
+        // Samples as CSV, one row per sample
+        function toCSV() {
+            const rows = [SAMPLE_FIELDS.join(',')];
+            samples.forEach(sample => {
+                rows.push(SAMPLE_FIELDS.map(field => {
+                    const value = sample[field];
+                    return value === null ? '' : String(value);
+                }).join(','));
+            });
+            return rows.join('\n') + '\n';
+        }
+
+        return {
+            attach: attach,
+            record: record,
+            getSummary: getSummary,
+            getData: getData,
+            toCSV: toCSV
+        };
+    }
+
+    return {
+        TELEMETRY_FORMAT: TELEMETRY_FORMAT,
+        TELEMETRY_VERSION: TELEMETRY_VERSION,
+        SAMPLE_FIELDS: SAMPLE_FIELDS,
+        createTelemetryRecorder: createTelemetryRecorder
+    };
+});
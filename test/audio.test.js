@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Engine = require('../engine.js');
+const Audio = require('../audio.js');
+
+const { CELL_SIZE } = Engine;
+
+// The parts of a state the loop follows, with the lines on rows 5 and 15
+function state(topRow, warningRemaining = null) {
+    return {
+        topBlockY: topRow === null ? null : topRow * CELL_SIZE,
+        bands: { excessCashY: 5 * CELL_SIZE, overdraftY: 15 * CELL_SIZE },
+        warningRemaining: warningRemaining
+    };
+}
+
+test('the loop speeds up as the stack nears a line', () => {
+    assert.strictEqual(Audio.getMusicTempo(state(null)), 96);
+    assert.strictEqual(Audio.getMusicTempo(state(10)), 96);
+    assert.strictEqual(Audio.getMusicTempo(state(13)), 132);
+    assert.strictEqual(Audio.getMusicTempo(state(6)), 150);
+    assert.strictEqual(Audio.getMusicTempo(state(15)), 168);
+});
+
+test('the warning plays at full speed, outside the lines the loop calms down', () => {
+    assert.strictEqual(Audio.getTension(state(10, 2000)), 1);
+    assert.strictEqual(Audio.getTension(state(4)), 0);
+    assert.strictEqual(Audio.getTension(state(16)), 0);
+});
+
+test('volume and mute settings are loaded, with the defaults for anything unusable', () => {
+    const storageWith = value => ({ getItem: key => key === Audio.SETTINGS_KEY ? value : null, setItem: () => {} });
+    const player = Audio.createAudioPlayer({ storage: storageWith('{"volume":3,"muted":"yes"}'), createContext: () => null });
+    assert.deepStrictEqual(player.getSettings(), { volume: 1, muted: Audio.DEFAULT_SETTINGS.muted });
+    assert.deepStrictEqual(Audio.createAudioPlayer({ createContext: () => null }).getSettings(), Audio.DEFAULT_SETTINGS);
+});
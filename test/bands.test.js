@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Bands = require('../bands.js');
+const Pieces = require('../pieces.js');
+
+// The first count moves of a scenario on a 20 row board with the lines on rows 5 and 15
+function moves(scenario, count, seed = 1) {
+    const bands = Bands.createBandScenario({
+        scenario: scenario, excessCashRow: 5, overdraftRow: 15, rows: 20, random: Pieces.createRandom(seed)
+    });
+    return Array.from({ length: count }, () => bands.nextMove());
+}
+
+test('static lines never move', () => {
+    assert.deepStrictEqual(moves(undefined, 2), [null, null]);
+    assert.throws(() => moves('payday', 1), /Unknown band scenario: payday/);
+});
+
+test('the month-end squeeze closes in for the end of every month', () => {
+    assert.deepStrictEqual(moves('monthEnd', 4), [
+        { time: 45000, excessCashRow: 7, overdraftRow: 13 },
+        { time: 60000, excessCashRow: 5, overdraftRow: 15 },
+        { time: 105000, excessCashRow: 7, overdraftRow: 13 },
+        { time: 120000, excessCashRow: 5, overdraftRow: 15 }
+    ]);
+});
+
+test('every move changes a line, later in the game, and keeps a safe zone on the board', () => {
+    Object.keys(Bands.BAND_SCENARIOS).filter(scenario => scenario !== 'static').forEach(scenario => {
+        let last = { time: 0, excessCashRow: 5, overdraftRow: 15 };
+        moves(scenario, 50).forEach(move => {
+            assert.ok(move.time > last.time, scenario);
+            assert.ok(move.excessCashRow !== last.excessCashRow || move.overdraftRow !== last.overdraftRow, scenario);
+            assert.ok(move.excessCashRow >= 1 && move.overdraftRow <= 19, scenario);
+            assert.ok(move.overdraftRow - move.excessCashRow >= 2, scenario);
+            last = move;
+        });
+    });
+});
+
+test('the random walk follows the seed', () => {
+    assert.deepStrictEqual(moves('randomWalk', 20, 4), moves('randomWalk', 20, 4));
+    assert.notDeepStrictEqual(moves('randomWalk', 20, 4), moves('randomWalk', 20, 5));
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Engine = require('../engine.js');
+const Bot = require('../bot.js');
+
+const { CELL_SIZE, TICK_DURATION } = Engine;
+
+test('the best placement is where its actions drop the piece', () => {
+    const engine = Engine.createEngine({ seed: 6, now: () => 0 });
+    const placement = Bot.findBestPlacement(engine.getState());
+    const type = engine.getState().currentPiece.type;
+    placement.actions.forEach(action => engine.applyInput(action));
+    engine.step(TICK_DURATION);
+
+    const state = engine.getState();
+    assert.strictEqual(state.blocksPlaced, 1);
+    const top = placement.y / CELL_SIZE;
+    placement.shape.forEach((cells, row) => cells.forEach((filled, col) => {
+        if (filled) {
+            const stackRow = state.stackedBlocks[top + row];
+            assert.deepStrictEqual(stackRow && stackRow[placement.x + col], { type: type });
+        }
+    }));
+});
+
+test('every placement stays on the board', () => {
+    const state = Engine.createEngine({ seed: 2, now: () => 0, cols: 6 }).getState();
+    const placements = Bot.findPlacements(state);
+    assert.ok(placements.length > 0);
+    placements.forEach(placement => {
+        assert.ok(placement.x >= 0 && placement.x + placement.shape[0].length <= 6);
+        assert.strictEqual(placement.actions[placement.actions.length - 1], Engine.ACTIONS.HARD_DROP);
+    });
+});
+
+test('the autoplayer waits between inputs', () => {
+    const state = Engine.createEngine({ seed: 1, now: () => 0 }).getState();
+    const autoplayer = Bot.createAutoplayer({ actionDelay: 100 });
+    assert.strictEqual(autoplayer.nextAction(state, 60), null);
+    assert.strictEqual(autoplayer.nextAction(state, 40), Bot.findBestPlacement(state).actions[0]);
+    assert.strictEqual(autoplayer.nextAction(state, 10), null);
+});
+
+test('a benchmark played a little at a time ends the same as one played at once', () => {
+    const options = { maxTime: 20000 };
+    const expected = Bot.runBenchmark({ seed: 8 }, options);
+    assert.strictEqual(expected.seed, 8);
+    assert.ok(expected.time >= 20000 || expected.gameOver);
+    assert.ok(expected.blocksPlaced > 0);
+    assert.deepStrictEqual(Bot.runBenchmark({ seed: 8 }, options), expected);
+
+    const benchmark = Bot.createBenchmark({ seed: 8 }, options);
+    assert.strictEqual(benchmark.getResult(), null);
+    while (!benchmark.advance(100)) {
+        assert.strictEqual(benchmark.getResult(), null);
+    }
+    assert.deepStrictEqual(benchmark.getResult(), expected);
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Engine = require('../engine.js');
+const Pieces = require('../pieces.js');
+
+const { ACTIONS, EVENTS, CELL_SIZE, TICK_DURATION } = Engine;
+const SINGLE = Pieces.SHAPE_NAMES.indexOf('single');
+
+// An engine on a stopped clock, so only step(dt) moves it on
+function createEngine(options = {}) {
+    return Engine.createEngine(Object.assign({ seed: 1, now: () => 0 }, options));
+}
+
+// Scripted single cells dropped at these columns, over and over
+function singlesAt(...columns) {
+    return { pieceScript: columns.map(x => ({ shape: SINGLE, type: 'inflow', x: x })), loopPieceScript: true };
+}
+
+test('step runs whole fixed ticks and carries the rest over', () => {
+    const engine = createEngine();
+    engine.step(25);
+    assert.strictEqual(engine.getTicks(), 2);
+    assert.strictEqual(engine.getState().time, 2 * TICK_DURATION);
+    engine.step(5);
+    assert.strictEqual(engine.getTicks(), 3);
+});
+
+test('the falling piece drops a row every drop interval', () => {
+    const engine = createEngine();
+    const state = engine.getState();
+    engine.step(state.dropInterval);
+    assert.strictEqual(engine.getState().currentPiece.y, state.currentPiece.y + CELL_SIZE);
+});
+
+test('nothing moves while paused', () => {
+    const engine = createEngine();
+    engine.setPaused(true);
+    engine.step(1000);
+    assert.strictEqual(engine.getTicks(), 0);
+    assert.ok(engine.getState().paused);
+});
+
+test('moves are applied until a wall stops them', () => {
+    const engine = createEngine(singlesAt(1));
+    assert.ok(engine.applyInput(ACTIONS.MOVE_LEFT));
+    assert.strictEqual(engine.getState().currentPiece.x, 0);
+    assert.ok(!engine.applyInput(ACTIONS.MOVE_LEFT));
+    assert.ok(engine.applyInput(ACTIONS.MOVE_RIGHT));
+    assert.strictEqual(engine.getState().currentPiece.x, 1);
+});
+
+test('a hard drop locks the piece where it lands', () => {
+    const engine = createEngine(singlesAt(3));
+    const locked = [];
+    engine.on(EVENTS.PIECE_LOCKED, event => locked.push(event));
+    const landingY = engine.getState().currentPiece.landingY;
+
+    assert.ok(engine.applyInput(ACTIONS.HARD_DROP));
+    const state = engine.getState();
+    assert.strictEqual(state.blocksPlaced, 1);
+    assert.strictEqual(state.stackVersion, 1);
+    assert.strictEqual(state.topBlockY, landingY);
+    assert.deepStrictEqual(state.stackedBlocks[landingY / CELL_SIZE][3], { type: 'inflow' });
+    assert.strictEqual(locked.length, 1);
+    assert.strictEqual(state.balance, Engine.STARTING_BALANCE + locked[0].amount);
+});
+
+test('hold swaps the falling piece once per lock', () => {
+    const engine = createEngine();
+    const first = engine.getState().currentPiece;
+    assert.ok(engine.applyInput(ACTIONS.HOLD));
+    const state = engine.getState();
+    assert.deepStrictEqual(state.heldPiece.shape, first.baseShape);
+    assert.ok(!state.canHold);
+    assert.ok(!engine.applyInput(ACTIONS.HOLD));
+});
+
+test('the same seed and inputs play the same game', () => {
+    function play() {
+        const engine = createEngine({ seed: 7 });
+        const actions = Object.values(ACTIONS);
+        for (let i = 0; i < 3000 && !engine.getState().gameOver; i++) {
+            if (i % 13 === 0) engine.applyInput(actions[i % actions.length]);
+            engine.step(TICK_DURATION);
+        }
+        return engine.getState();
+    }
+    assert.deepStrictEqual(play(), play());
+});
+
+test('a full row is scored at once and cleared after the animation', () => {
+    const engine = createEngine(Object.assign({ initialBoard: ['IIIIIIIII.'] }, singlesAt(9)));
+    const cleared = [];
+    engine.on(EVENTS.ROWS_CLEARED, event => cleared.push(event));
+
+    engine.applyInput(ACTIONS.HARD_DROP);
+    let state = engine.getState();
+    assert.deepStrictEqual(state.clearingAnimation.rows, [19]);
+    assert.ok(state.score.lineClears > 0);
+    assert.strictEqual(state.combo, 1);
+
+    engine.step(500);
+    state = engine.getState();
+    assert.strictEqual(state.clearingAnimation, null);
+    assert.strictEqual(state.rowsCleared, 1);
+    assert.strictEqual(state.topBlockY, null);
+    assert.deepStrictEqual(cleared.map(event => [event.rows, event.combo]), [[[19], 1]]);
+});
+
+test('a row completed during the clear animation is scored and cleared after it', () => {
+    const engine = createEngine(Object.assign({ initialBoard: ['.IIIIIIII.', 'IIIIIIIII.'] }, singlesAt(0, 9, 9)));
+    const cleared = [];
+    engine.on(EVENTS.ROWS_CLEARED, event => cleared.push([event.rows, event.combo]));
+
+    for (let i = 0; i < 3; i++) {
+        engine.applyInput(ACTIONS.HARD_DROP);
+        engine.step(TICK_DURATION);
+    }
+    const scored = engine.getState().score;
+    assert.strictEqual(engine.getState().combo, 2);
+    assert.ok(scored.combos > 0);
+
+    engine.step(1000);
+    const state = engine.getState();
+    assert.deepStrictEqual(cleared, [[[19], 1], [[19], 2]]);
+    assert.strictEqual(state.rowsCleared, 2);
+    assert.strictEqual(state.topBlockY, null);
+    assert.strictEqual(state.score.lineClears, scored.lineClears);
+});
+
+test('the balance only starts a warning with the balance rules on', () => {
+    const options = Object.assign({
+        startingBalance: -500,
+        gracePeriodBlocks: 0,
+        initialBoard: ['IIIII.....', 'IIIII.....']
+    }, singlesAt(0));
+    const states = [false, true].map(useBalanceRules => {
+        const engine = createEngine(Object.assign({ useBalanceRules: useBalanceRules }, options));
+        engine.applyInput(ACTIONS.HARD_DROP);
+        engine.step(TICK_DURATION);
+        return engine.getState();
+    });
+    assert.strictEqual(states[0].warningCause, null);
+    assert.strictEqual(states[1].warningCause, 'balance');
+});
+
+test('getState shares the stacked blocks until the stack changes', () => {
+    const engine = createEngine(singlesAt(4));
+    const before = engine.getState().stackedBlocks;
+    assert.strictEqual(engine.getState().stackedBlocks, before);
+    engine.applyInput(ACTIONS.HARD_DROP);
+    assert.notStrictEqual(engine.getState().stackedBlocks, before);
+});
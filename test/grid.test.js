@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Grid } = require('../grid.js');
+
+// A grid from rows of text ('.' empty, 'I' inflow, 'O' outflow, 'G' garbage) resting on the floor
+function gridFrom(rows, cols, height) {
+    const types = { I: 'inflow', O: 'outflow', G: 'garbage' };
+    const grid = new Grid(cols, height);
+    const first = height - rows.length;
+    rows.forEach((text, index) => {
+        [...text].forEach((cell, col) => {
+            if (types[cell]) grid.setType(first + index, col, types[cell]);
+        });
+    });
+    return grid;
+}
+
+// The grid back as rows of text, empty rows included
+function textRows(grid) {
+    const marks = { inflow: 'I', outflow: 'O', garbage: 'G' };
+    return Array.from({ length: grid.rows }, (_, row) =>
+        Array.from({ length: grid.cols }, (_, col) => marks[grid.getType(row, col)] || '.').join(''));
+}
+
+test('an empty grid has no top row', () => {
+    const grid = new Grid(4, 5);
+    assert.strictEqual(grid.getTopRow(), null);
+    assert.deepStrictEqual(grid.getFullRows(), []);
+});
+
+test('setType keeps the row counts and the top up to date', () => {
+    const grid = new Grid(4, 5);
+    grid.setType(3, 1, 'inflow');
+    grid.setType(2, 0, 'outflow');
+    assert.strictEqual(grid.getTopRow(), 2);
+    assert.strictEqual(grid.rowCounts[3], 1);
+
+    // Filling a filled cell again doesn't count twice
+    grid.setType(3, 1, 'outflow');
+    assert.strictEqual(grid.rowCounts[3], 1);
+    assert.strictEqual(grid.getType(3, 1), 'outflow');
+
+    // Emptying the top row moves the top down to the next filled row
+    grid.setType(2, 0, null);
+    assert.strictEqual(grid.getTopRow(), 3);
+    grid.setType(3, 1, null);
+    assert.strictEqual(grid.getTopRow(), null);
+});
+
+test('setType throws for a type the grid cannot hold', () => {
+    const grid = new Grid(4, 5);
+    assert.throws(() => grid.setType(0, 0, 'bonus'), /Unknown cell type: bonus/);
+});
+
+test('full rows are found top to bottom', () => {
+    const grid = gridFrom(['IIII', 'I.OO', 'OOOO'], 4, 5);
+    assert.deepStrictEqual(grid.getFullRows(), [2, 4]);
+    assert.ok(grid.isRowFull(2));
+    assert.ok(!grid.isRowFull(3));
+    assert.ok(grid.hasFullRowAbove(3));
+    assert.ok(!grid.hasFullRowAbove(2));
+});
+
+test('overlaps only counts filled cells under the shape', () => {
+    const grid = gridFrom(['I...', 'II..'], 4, 5);
+    const corner = [[1, 1], [0, 1]];
+    assert.ok(!grid.overlaps(corner, 2, 1));
+    assert.ok(grid.overlaps(corner, 3, 0));
+    assert.ok(!grid.overlaps(corner, 0, 0));
+});
+
+test('clearRows drops the rows above into the gap', () => {
+    const grid = gridFrom(['.O..', 'IIII', '..I.', 'OOOO'], 4, 6);
+    grid.clearRows([3, 5]);
+    assert.deepStrictEqual(textRows(grid), ['....', '....', '....', '....', '.O..', '..I.']);
+    assert.strictEqual(grid.getTopRow(), 4);
+    assert.deepStrictEqual(Array.from(grid.rowCounts), [0, 0, 0, 0, 1, 1]);
+});
+
+test('clearing every filled row leaves the grid empty', () => {
+    const grid = gridFrom(['IIII', 'OOOO'], 4, 5);
+    grid.clearRows(grid.getFullRows());
+    assert.strictEqual(grid.getTopRow(), null);
+    assert.deepStrictEqual(Array.from(grid.rowCounts), [0, 0, 0, 0, 0]);
+});
+
+test('shiftUp moves every row up and empties the bottom', () => {
+    const grid = gridFrom(['.I..', 'O..O'], 4, 5);
+    grid.shiftUp(2);
+    assert.deepStrictEqual(textRows(grid), ['....', '.I..', 'O..O', '....', '....']);
+    assert.strictEqual(grid.getTopRow(), 1);
+    assert.deepStrictEqual(Array.from(grid.rowCounts), [0, 1, 2, 0, 0]);
+});
+
+test('stacked blocks round-trip and are frozen', () => {
+    const grid = gridFrom(['G..I', 'OIIO'], 4, 4);
+    const stackedBlocks = grid.toStackedBlocks();
+    assert.strictEqual(stackedBlocks[0], null);
+    assert.deepStrictEqual(stackedBlocks[2], [{ type: 'garbage' }, null, null, { type: 'inflow' }]);
+    assert.ok(Object.isFrozen(stackedBlocks) && Object.isFrozen(stackedBlocks[3]) && Object.isFrozen(stackedBlocks[3][0]));
+
+    const copy = Grid.fromStackedBlocks(stackedBlocks, 4, 4);
+    assert.deepStrictEqual(textRows(copy), textRows(grid));
+    assert.strictEqual(copy.getTopRow(), 2);
+    assert.deepStrictEqual(grid.toTypeRows()[3], ['outflow', 'inflow', 'inflow', 'outflow']);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Engine = require('../engine.js');
+const Input = require('../input.js');
+
+const { ACTIONS } = Engine;
+
+// A controller that logs what it dispatches, with moves that stop working after a number of steps
+function createLoggedController(options = {}, movesLeft = Infinity) {
+    const dispatched = [];
+    const controller = Input.createInputController(Object.assign({
+        dispatch: action => {
+            dispatched.push(action);
+            return action !== ACTIONS.MOVE_LEFT || movesLeft-- > 0;
+        },
+        repeatable: [ACTIONS.MOVE_LEFT, ACTIONS.MOVE_RIGHT],
+        releaseActions: { [ACTIONS.SOFT_DROP_START]: ACTIONS.SOFT_DROP_END }
+    }, options));
+    return { controller: controller, dispatched: dispatched };
+}
+
+test('a held direction repeats after the delay, then at the repeat rate', () => {
+    const { controller, dispatched } = createLoggedController({ repeatDelay: 100, repeatRate: 20 });
+    controller.press(ACTIONS.MOVE_LEFT);
+    assert.strictEqual(dispatched.length, 1);
+
+    controller.update(99);
+    assert.strictEqual(dispatched.length, 1);
+    controller.update(1);
+    assert.strictEqual(dispatched.length, 2);
+    controller.update(45);
+    assert.strictEqual(dispatched.length, 4);
+
+    controller.release(ACTIONS.MOVE_LEFT);
+    controller.update(1000);
+    assert.strictEqual(dispatched.length, 4);
+});
+
+test('a repeat rate of zero moves as far as it goes at once', () => {
+    const { controller, dispatched } = createLoggedController({ repeatDelay: 100, repeatRate: 0 }, 4);
+    controller.press(ACTIONS.MOVE_LEFT);
+    controller.update(100);
+    // The press, three more moves and the one that was blocked
+    assert.strictEqual(dispatched.length, 5);
+    controller.update(1000);
+    assert.strictEqual(dispatched.length, 5);
+});
+
+test('only repeatable actions repeat, and releases dispatch their end action', () => {
+    const { controller, dispatched } = createLoggedController();
+    controller.press(ACTIONS.SOFT_DROP_START);
+    controller.press(ACTIONS.HARD_DROP);
+    controller.update(1000);
+    controller.release(ACTIONS.HARD_DROP);
+    controller.release(ACTIONS.SOFT_DROP_START);
+    assert.deepStrictEqual(dispatched, [ACTIONS.SOFT_DROP_START, ACTIONS.HARD_DROP, ACTIONS.SOFT_DROP_END]);
+});
+
+test('an action held by two devices is released when both let go', () => {
+    const { controller, dispatched } = createLoggedController({ repeatDelay: 100, repeatRate: 50 });
+    controller.press(ACTIONS.MOVE_RIGHT);
+    controller.press(ACTIONS.MOVE_RIGHT);
+    controller.release(ACTIONS.MOVE_RIGHT);
+    controller.update(100);
+    assert.strictEqual(dispatched.length, 2);
+    controller.release(ACTIONS.MOVE_RIGHT);
+    controller.update(100);
+    assert.strictEqual(dispatched.length, 2);
+});
+
+test('timing can be changed while playing', () => {
+    const { controller, dispatched } = createLoggedController();
+    assert.deepStrictEqual(controller.getTiming(), { repeatDelay: Input.DEFAULT_REPEAT_DELAY, repeatRate: Input.DEFAULT_REPEAT_RATE });
+    controller.setTiming({ repeatDelay: 10 });
+    assert.deepStrictEqual(controller.getTiming(), { repeatDelay: 10, repeatRate: Input.DEFAULT_REPEAT_RATE });
+    controller.press(ACTIONS.MOVE_RIGHT);
+    controller.update(10);
+    assert.strictEqual(dispatched.length, 2);
+});
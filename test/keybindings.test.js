@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Engine = require('../engine.js');
+const KeyBindings = require('../keybindings.js');
+
+const { ACTIONS } = Engine;
+const { DEFAULT_BINDINGS } = KeyBindings;
+
+// A Storage holding saved bindings
+function storageWith(bindings) {
+    const items = new Map([[KeyBindings.STORAGE_KEY, JSON.stringify(bindings)]]);
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+test('a key that is already bound is refused with the action that has it', () => {
+    const bindings = KeyBindings.createKeyBindings(null);
+    assert.deepStrictEqual(bindings.setKey(ACTIONS.HOLD, 0, 'ArrowLeft'), { ok: false, conflict: ACTIONS.MOVE_LEFT });
+    assert.deepStrictEqual(bindings.getKeys(ACTIONS.HOLD), ['c']);
+
+    // Letters are the same key whatever their case, and a key can go back in its own slot
+    assert.deepStrictEqual(bindings.setKey(ACTIONS.HOLD, 0, 'Z'), { ok: false, conflict: ACTIONS.ROTATE_CCW });
+    assert.deepStrictEqual(bindings.setKey(ACTIONS.HOLD, 0, 'C'), { ok: true });
+    assert.deepStrictEqual(bindings.setKey(ACTIONS.HOLD, 1, 'v'), { ok: true });
+    assert.strictEqual(bindings.getAction('V'), ACTIONS.HOLD);
+});
+
+test('bindings are saved and loaded', () => {
+    const storage = storageWith({});
+    KeyBindings.createKeyBindings(storage).setKey(ACTIONS.HOLD, 0, 'Shift');
+    const loaded = KeyBindings.createKeyBindings(storage);
+    assert.deepStrictEqual(loaded.getKeys(ACTIONS.HOLD), ['Shift']);
+    assert.deepStrictEqual(loaded.getKeys(ACTIONS.MOVE_LEFT), DEFAULT_BINDINGS[ACTIONS.MOVE_LEFT]);
+});
+
+test('saved keys that clash or are broken fall back to the defaults', () => {
+    const bindings = KeyBindings.createKeyBindings(storageWith({
+        [ACTIONS.MOVE_LEFT]: ['a'],
+        [ACTIONS.MOVE_RIGHT]: ['A'],
+        [ACTIONS.HOLD]: ['v', 'v'],
+        [ACTIONS.HARD_DROP]: [42],
+        [ACTIONS.ROTATE_CCW]: ['q']
+    }));
+    assert.deepStrictEqual(bindings.getKeys(ACTIONS.MOVE_LEFT), DEFAULT_BINDINGS[ACTIONS.MOVE_LEFT]);
+    assert.deepStrictEqual(bindings.getKeys(ACTIONS.MOVE_RIGHT), DEFAULT_BINDINGS[ACTIONS.MOVE_RIGHT]);
+    assert.deepStrictEqual(bindings.getKeys(ACTIONS.HOLD), DEFAULT_BINDINGS[ACTIONS.HOLD]);
+    assert.deepStrictEqual(bindings.getKeys(ACTIONS.HARD_DROP), DEFAULT_BINDINGS[ACTIONS.HARD_DROP]);
+    assert.deepStrictEqual(bindings.getKeys(ACTIONS.ROTATE_CCW), ['q']);
+});
+
+test('a saved key that clashes with a restored default falls back too', () => {
+    // P is the pause key, so hold falls back to C, which the saved rotate keys took
+    const bindings = KeyBindings.createKeyBindings(storageWith({
+        [ACTIONS.HOLD]: ['p'],
+        [ACTIONS.ROTATE]: ['c']
+    }));
+    assert.deepStrictEqual(bindings.getKeys(ACTIONS.HOLD), DEFAULT_BINDINGS[ACTIONS.HOLD]);
+    assert.deepStrictEqual(bindings.getKeys(ACTIONS.ROTATE), DEFAULT_BINDINGS[ACTIONS.ROTATE]);
+});
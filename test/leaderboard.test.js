@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Leaderboard = require('../leaderboard.js');
+
+// A Storage that keeps its items in memory
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+// A result with a score, survival time and date
+function result(score, timeSurvived = 60, date = 0) {
+    return { name: 'Ada', score: score, timeSurvived: timeSurvived, blocksPlaced: 10, date: date };
+}
+
+test('entries are ranked by score, then survival time, then who got there first', () => {
+    const leaderboard = Leaderboard.createLeaderboard(createMemoryStorage());
+    assert.strictEqual(leaderboard.addEntry('bag', result(500, 60, 1)), 0);
+    assert.strictEqual(leaderboard.addEntry('bag', result(900)), 0);
+    assert.strictEqual(leaderboard.addEntry('bag', result(500, 90)), 1);
+    assert.strictEqual(leaderboard.addEntry('bag', result(500, 60, 2)), 3);
+
+    const entries = leaderboard.getEntries('bag');
+    assert.deepStrictEqual(entries.map(entry => [entry.score, entry.timeSurvived, entry.date]),
+        [[900, 60, 0], [500, 90, 0], [500, 60, 1], [500, 60, 2]]);
+});
+
+test('each mode keeps only its best entries', () => {
+    const leaderboard = Leaderboard.createLeaderboard(createMemoryStorage(), { maxEntries: 3 });
+    [100, 300, 200].forEach(score => leaderboard.addEntry('bag', result(score)));
+    assert.strictEqual(leaderboard.qualifies('bag', 100), false);
+    assert.strictEqual(leaderboard.qualifies('bag', 150), true);
+    assert.strictEqual(leaderboard.qualifies('classic', 0), true);
+
+    assert.strictEqual(leaderboard.addEntry('bag', result(50)), -1);
+    assert.strictEqual(leaderboard.addEntry('bag', result(250)), 1);
+    assert.deepStrictEqual(leaderboard.getEntries('bag').map(entry => entry.score), [300, 250, 200]);
+    assert.deepStrictEqual(leaderboard.getModes(), ['bag']);
+});
+
+test('names are trimmed, shortened or filled in', () => {
+    const leaderboard = Leaderboard.createLeaderboard(createMemoryStorage());
+    leaderboard.addEntry('bag', Object.assign(result(3), { name: '  Grace  ' }));
+    leaderboard.addEntry('bag', Object.assign(result(2), { name: 'x'.repeat(50) }));
+    leaderboard.addEntry('bag', Object.assign(result(1), { name: ' ' }));
+    assert.deepStrictEqual(leaderboard.getEntries('bag').map(entry => entry.name),
+        ['Grace', 'x'.repeat(Leaderboard.MAX_NAME_LENGTH), 'Anonymous']);
+});
+
+test('tables survive a reload and can be cleared', () => {
+    const storage = createMemoryStorage();
+    const leaderboard = Leaderboard.createLeaderboard(storage);
+    leaderboard.addEntry('bag', result(100));
+    leaderboard.addEntry('classic', result(200));
+    assert.deepStrictEqual(Leaderboard.createLeaderboard(storage).getEntries('bag').map(entry => entry.score), [100]);
+
+    leaderboard.clear('bag');
+    assert.deepStrictEqual(leaderboard.getModes(), ['classic']);
+    leaderboard.clear();
+    assert.deepStrictEqual(leaderboard.getModes(), []);
+
+    // Unreadable tables start fresh
+    storage.setItem(Leaderboard.STORAGE_KEY, '{oops');
+    assert.deepStrictEqual(leaderboard.getEntries('bag'), []);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Pieces = require('../pieces.js');
+
+const SHAPE_COUNT = Pieces.BLOCK_SHAPES.length;
+
+// Take count pieces from a generator
+function take(generator, count) {
+    return Array.from({ length: count }, () => generator.next());
+}
+
+test('the same seed gives the same pieces', () => {
+    const options = { seed: 42, cols: 6 };
+    const first = take(Pieces.createPieceGenerator(options), 50);
+    assert.deepStrictEqual(take(Pieces.createPieceGenerator(options), 50), first);
+    assert.notDeepStrictEqual(take(Pieces.createPieceGenerator({ seed: 43, cols: 6 }), 50), first);
+});
+
+test('peeking does not change the pieces that come next', () => {
+    const peeked = Pieces.createPieceGenerator({ seed: 7, cols: 6 });
+    const upcoming = peeked.peek(3);
+    assert.deepStrictEqual(take(peeked, 3), upcoming);
+    assert.deepStrictEqual(take(peeked, 20), take(Pieces.createPieceGenerator({ seed: 7, cols: 6 }), 23).slice(3));
+});
+
+test('the bag hands out every shape once before any repeats', () => {
+    const generator = Pieces.createPieceGenerator({ seed: 3, cols: 6 });
+    assert.strictEqual(generator.randomizer, 'bag');
+    for (let round = 0; round < 10; round++) {
+        const shapes = take(generator, SHAPE_COUNT).map(piece => piece.shapeIndex).sort();
+        assert.deepStrictEqual(shapes, [...Array(SHAPE_COUNT).keys()]);
+    }
+});
+
+test('pieces spawn inside the board', () => {
+    take(Pieces.createPieceGenerator({ seed: 5, cols: 4 }), 200).forEach(piece => {
+        assert.ok(piece.x >= 0 && piece.x + piece.shape[0].length <= 4);
+    });
+});
+
+test('weighted pieces never pick a shape without weight', () => {
+    const weights = Pieces.BLOCK_SHAPES.map((shape, index) => index === 0 || index === 6 ? 1 : 0);
+    const generator = Pieces.createPieceGenerator({ seed: 9, cols: 6, weights: weights });
+    assert.strictEqual(generator.randomizer, 'weighted');
+    const shapes = new Set(take(generator, 200).map(piece => piece.shapeIndex));
+    assert.deepStrictEqual([...shapes].sort(), [0, 6]);
+
+    assert.throws(() => Pieces.createPieceGenerator({ seed: 1, cols: 6, weights: [1] }), /Shape weights must be/);
+    assert.throws(() => Pieces.createPieceGenerator({ seed: 1, cols: 6, randomizer: 'fair' }), /Unknown randomizer: fair/);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Engine = require('../engine.js');
+const Replay = require('../replay.js');
+const SaveGame = require('../savegame.js');
+
+const { ACTIONS, TICK_DURATION } = Engine;
+
+// Play ticks from a tick count on, with the same inputs whatever engine it is given
+// garbage: send a garbage row now and then too (recordings only keep the player's inputs)
+function play(engine, fromTick, ticks, garbage = false) {
+    const actions = Object.values(ACTIONS);
+    for (let tick = fromTick; tick < fromTick + ticks && !engine.getState().gameOver; tick++) {
+        if (tick % 17 === 0) engine.applyInput(actions[tick % actions.length]);
+        if (garbage && tick % 400 === 0) engine.addGarbageRows(1);
+        engine.step(TICK_DURATION);
+    }
+}
+
+// A Storage that keeps its items in memory
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+test('a snapshot resumes the exact same game', () => {
+    const options = { seed: 5, now: () => 0, bandScenario: 'monthEnd' };
+    const original = Engine.createEngine(options);
+    play(original, 0, 1500, true);
+    const snapshot = JSON.parse(JSON.stringify(original.getSnapshot()));
+
+    const resumed = Engine.createEngine(Object.assign({ snapshot: snapshot }, options));
+    assert.deepStrictEqual(resumed.getSnapshot(), snapshot);
+
+    play(original, 1500, 1500, true);
+    play(resumed, 1500, 1500, true);
+    assert.deepStrictEqual(resumed.getSnapshot(), original.getSnapshot());
+});
+
+test('a snapshot that does not fit the board is refused', () => {
+    const snapshot = Engine.createEngine({ seed: 1 }).getSnapshot();
+    assert.throws(() => Engine.createEngine({ seed: 1, rows: 16, snapshot: snapshot }));
+});
+
+test('a recording plays back to the same result', () => {
+    const engine = Replay.createRecordingEngine({ seed: 9, now: () => 0, levelBy: 'blocks' });
+    play(engine, 0, 4000);
+    const recording = JSON.parse(JSON.stringify(engine.getRecording()));
+    assert.strictEqual(recording.settings.now, undefined);
+
+    const player = Replay.createReplayPlayer(recording);
+    player.seek(recording.totalTicks);
+    const state = player.getState();
+    assert.strictEqual(state.score.total, recording.result.score);
+    assert.strictEqual(state.blocksPlaced, recording.result.blocksPlaced);
+
+    // Going backwards plays the game again from the start
+    player.seek(100);
+    assert.strictEqual(player.getTick(), 100);
+});
+
+test('recordings that cannot be played are refused', () => {
+    const recording = Replay.createRecordingEngine({ seed: 3 }).getRecording();
+    assert.throws(() => Replay.validateRecording({}), /Not a Liquidity Rush replay/);
+    assert.throws(() => Replay.validateRecording(Object.assign({}, recording, { version: 99 })), /Unsupported replay version/);
+    assert.throws(() => Replay.validateRecording(Object.assign({}, recording, { inputs: null })), /incomplete/);
+});
+
+test('a saved game carries on and still replays from the start', () => {
+    const engine = Replay.createRecordingEngine({ seed: 11, now: () => 0 });
+    play(engine, 0, 2000);
+    const slot = SaveGame.createSaveSlot(createMemoryStorage());
+    slot.save(SaveGame.createSave(engine, { mode: 'test' }));
+
+    const resumed = SaveGame.resumeGame(slot.load(), { now: () => 0 });
+    play(engine, 2000, 2000);
+    play(resumed, 2000, 2000);
+    assert.deepStrictEqual(resumed.getSnapshot(), engine.getSnapshot());
+
+    const recording = resumed.getRecording();
+    const player = Replay.createReplayPlayer(recording);
+    player.seek(recording.totalTicks);
+    assert.deepStrictEqual(player.getState().score, engine.getState().score);
+});
+
+test('a save that cannot be used is removed', () => {
+    const storage = createMemoryStorage();
+    storage.setItem(SaveGame.STORAGE_KEY, JSON.stringify({ format: 'something else' }));
+    const slot = SaveGame.createSaveSlot(storage);
+    assert.strictEqual(slot.load(), null);
+    assert.strictEqual(storage.getItem(SaveGame.STORAGE_KEY), null);
+});
+
+test('a save that cannot be read loads as none', () => {
+    const storage = createMemoryStorage();
+    storage.setItem(SaveGame.STORAGE_KEY, '{not json');
+    assert.strictEqual(SaveGame.createSaveSlot(storage).load(), null);
+
+    const blocked = { getItem: () => { throw new Error('SecurityError'); } };
+    assert.strictEqual(SaveGame.createSaveSlot(blocked).load(), null);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const Scenarios = require('../scenarios.js');
+const Pieces = require('../pieces.js');
+
+const SCENARIO_DIR = path.join(__dirname, '..', 'scenarios');
+
+// A playable scenario with some fields changed
+function scenario(fields = {}) {
+    return Object.assign({ format: Scenarios.SCENARIO_FORMAT, version: Scenarios.SCENARIO_VERSION, name: 'Test' }, fields);
+}
+
+test('the built-in scenarios all parse', () => {
+    const index = JSON.parse(fs.readFileSync(path.join(SCENARIO_DIR, 'index.json'), 'utf8'));
+    index.scenarios.forEach(file => {
+        const parsed = Scenarios.parseScenario(JSON.parse(fs.readFileSync(path.join(SCENARIO_DIR, file), 'utf8')));
+        assert.strictEqual(`${parsed.id}.json`, file);
+    });
+});
+
+test('scenario fields become engine options', () => {
+    const parsed = Scenarios.parseScenario(scenario({
+        name: '  Payday Rush ',
+        board: { cols: 8, rows: 16, bands: 'monthEnd', initial: ['II..OOII'] },
+        pieces: { script: [{ shape: 'T', type: 'outflow', x: 2 }], loop: true, weights: { single: 1, square: 3 }, inflowShare: 0.25 },
+        gravity: 400,
+        gracePeriodBlocks: 0,
+        startingBalance: 500,
+        balanceRules: true,
+        win: { surviveSeconds: 60, clearRows: 8 }
+    }));
+    assert.strictEqual(parsed.id, 'payday-rush');
+    assert.strictEqual(parsed.name, 'Payday Rush');
+
+    const options = parsed.engineOptions;
+    assert.strictEqual(options.cols, 8);
+    assert.strictEqual(options.bandScenario, 'monthEnd');
+    assert.strictEqual(options.dropInterval, 400);
+    assert.strictEqual(options.useBalanceRules, true);
+    assert.deepStrictEqual(options.pieceScript, [{ shape: Pieces.SHAPE_NAMES.indexOf('T'), type: 'outflow', x: 2 }]);
+    assert.strictEqual(options.loopPieceScript, true);
+    assert.strictEqual(options.shapeWeights[Pieces.SHAPE_NAMES.indexOf('square')], 3);
+    assert.deepStrictEqual(options.winConditions, { surviveTime: 60000, clearRows: 8 });
+
+    // Fields that are left out are left to the engine defaults
+    assert.ok(!('rows' in Scenarios.parseScenario(scenario()).engineOptions));
+});
+
+test('scenarios that are not scenarios are refused', () => {
+    assert.throws(() => Scenarios.parseScenario({ name: 'Test' }), /Not a Liquidity Rush scenario/);
+    assert.throws(() => Scenarios.parseScenario(scenario({ version: 2 })), /Unsupported scenario version: 2/);
+    assert.throws(() => Scenarios.parseScenario(scenario({ name: ' ' })), /Scenario needs a name/);
+});
+
+test('out of range numbers are refused', () => {
+    const cases = [
+        [{ gravity: 0 }, /Gravity must be/],
+        [{ gravity: '500' }, /Gravity must be/],
+        [{ gracePeriodBlocks: -1 }, /Grace period must be/],
+        [{ gracePeriodBlocks: 2.5 }, /Grace period must be/],
+        [{ startingBalance: Infinity }, /Starting balance must be/],
+        [{ pieces: { inflowShare: 1.5 } }, /Inflow share must be a number from 0 to 1/],
+        [{ win: { clearRows: 0 } }, /Win condition clearRows must be a number above zero/]
+    ];
+    cases.forEach(([fields, error]) => {
+        assert.throws(() => Scenarios.parseScenario(scenario(fields)), error);
+    });
+});
+
+test('contradictory or broken piece settings are refused', () => {
+    assert.throws(() => Scenarios.parseScenario(scenario({ pieces: { randomizer: 'bag', weights: { single: 1 } } })),
+        /Piece weights only work with the weighted randomizer, not bag/);
+    assert.ok(Scenarios.parseScenario(scenario({ pieces: { randomizer: 'weighted', weights: { single: 1 } } })));
+    assert.throws(() => Scenarios.parseScenario(scenario({ pieces: { weights: { blob: 1 } } })), /Unknown shape: blob/);
+    assert.throws(() => Scenarios.parseScenario(scenario({ pieces: { script: 'T' } })), /must be a list/);
+    assert.throws(() => Scenarios.parseScenario(scenario({ board: { initial: ['IIII'] } })), /cells wide/);
+});
+
+test('win conditions are described in words', () => {
+    assert.strictEqual(Scenarios.describeWinConditions({}), 'Survive as long as you can');
+    assert.strictEqual(Scenarios.describeWinConditions({ surviveTime: 90000, clearRows: 10 }), 'Survive 90s or clear 10 rows');
+});
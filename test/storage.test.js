@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readJson } = require('../storage.js');
+
+// A Storage holding one item
+function storageWith(key, value) {
+    return { getItem: name => name === key ? value : null };
+}
+
+test('readJson parses the stored value', () => {
+    assert.deepStrictEqual(readJson(storageWith('settings', '{"volume":0.5}'), 'settings'), { volume: 0.5 });
+});
+
+test('readJson gives the fallback for missing, corrupt or unreachable data', () => {
+    const fallback = { volume: 1 };
+    assert.strictEqual(readJson(storageWith('other', '1'), 'settings', fallback), fallback);
+    assert.strictEqual(readJson(storageWith('settings', '{oops'), 'settings', fallback), fallback);
+    assert.strictEqual(readJson(null, 'settings', fallback), fallback);
+    const blocked = { getItem: () => { throw new Error('SecurityError'); } };
+    assert.strictEqual(readJson(blocked, 'settings', fallback), fallback);
+    assert.strictEqual(readJson(storageWith('other', '1'), 'settings'), null);
+});
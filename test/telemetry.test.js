@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Engine = require('../engine.js');
+const Telemetry = require('../telemetry.js');
+
+const { ACTIONS, TICK_DURATION } = Engine;
+
+// Run an engine with a recorder for a number of ticks, hard dropping now and then
+function play(engine, recorder, ticks) {
+    for (let i = 0; i < ticks && !engine.getState().gameOver; i++) {
+        if (i % 40 === 0) engine.applyInput(ACTIONS.HARD_DROP);
+        engine.step(TICK_DURATION);
+        recorder.record(engine.getState());
+    }
+}
+
+test('a recorder carries on from the telemetry of a saved game', () => {
+    const options = { seed: 2, now: () => 0 };
+    const engine = Engine.createEngine(options);
+    const recorder = Telemetry.createTelemetryRecorder();
+    recorder.attach(engine);
+    play(engine, recorder, 600);
+
+    const saved = JSON.parse(JSON.stringify(recorder.getData()));
+    const resumedEngine = Engine.createEngine(Object.assign({ snapshot: engine.getSnapshot() }, options));
+    const resumed = Telemetry.createTelemetryRecorder({}, saved);
+    resumed.attach(resumedEngine);
+    assert.deepStrictEqual(resumed.getData(), saved);
+
+    play(engine, recorder, 600);
+    play(resumedEngine, resumed, 600);
+    assert.deepStrictEqual(resumed.getData(), recorder.getData());
+});
+
+test('samples are taken at the interval and once more when the game ends', () => {
+    const engine = Engine.createEngine({ seed: 4, now: () => 0 });
+    const recorder = Telemetry.createTelemetryRecorder({ sampleInterval: 250 });
+    recorder.attach(engine);
+    play(engine, recorder, 20000);
+    const state = engine.getState();
+    assert.ok(state.gameOver);
+
+    const { samples, summary } = recorder.getData();
+    samples.slice(1, -1).forEach((sample, index) => {
+        assert.strictEqual(sample.time - samples[index].time, 250);
+    });
+    assert.strictEqual(samples[samples.length - 1].time, state.time);
+    assert.strictEqual(summary.score, state.score.total);
+    assert.strictEqual(summary.inflowPieces + summary.outflowPieces, state.blocksPlaced);
+
+    // Nothing more is recorded once the game is over
+    recorder.record(Object.assign({}, state, { time: state.time + 1000 }));
+    assert.strictEqual(recorder.getData().samples.length, samples.length);
+
+    const csv = recorder.toCSV().trim().split('\n');
+    assert.strictEqual(csv[0], Telemetry.SAMPLE_FIELDS.join(','));
+    assert.strictEqual(csv.length, samples.length + 1);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Engine = require('../engine.js');
+const Pieces = require('../pieces.js');
+const Versus = require('../versus.js');
+
+const { ACTIONS, TICK_DURATION } = Engine;
+
+// Both boards start one single away from clearing the bottom row
+const CLEAR_ONE_ROW = {
+    cols: 4,
+    initialBoard: ['III.'],
+    pieceScript: [{ shape: Pieces.SHAPE_NAMES.indexOf('single'), x: 3 }]
+};
+
+// Step a match a number of ticks, or until it is over
+function play(match, ticks) {
+    for (let i = 0; i < ticks && !match.getResult(); i++) {
+        match.step(TICK_DURATION);
+    }
+}
+
+test('clearing rows pushes garbage into the other board', () => {
+    const match = Versus.createVersusMatch(CLEAR_ONE_ROW);
+    assert.ok(match.applyInput(0, ACTIONS.HARD_DROP));
+    play(match, 100);
+
+    const [sender, receiver] = match.getStates();
+    assert.strictEqual(sender.garbageSent, 1);
+    assert.strictEqual(receiver.garbageSent, 0);
+
+    // The garbage row has one gap and lifts the old bottom row
+    const rows = receiver.stackedBlocks;
+    const bottom = rows[rows.length - 1];
+    assert.strictEqual(bottom.filter(cell => cell && cell.type === 'garbage').length, CLEAR_ONE_ROW.cols - 1);
+    assert.deepStrictEqual(rows[rows.length - 2].map(cell => cell && cell.type), ['inflow', 'inflow', 'inflow', null]);
+});
+
+test('the player who meets the win conditions wins', () => {
+    const match = Versus.createVersusMatch(Object.assign({ winConditions: { clearRows: 1 } }, CLEAR_ONE_ROW));
+    match.applyInput(0, ACTIONS.HARD_DROP);
+    play(match, 100);
+
+    const result = match.getResult();
+    assert.strictEqual(result.winner, 0);
+    assert.strictEqual(result.players[0].rowsCleared, 1);
+    assert.strictEqual(result.players[1].endReason, null);
+
+    // Nothing more happens once the match is over
+    assert.strictEqual(match.applyInput(1, ACTIONS.HARD_DROP), false);
+});
+
+test('the player still standing wins when the other game ends', () => {
+    const match = Versus.createVersusMatch({ seed: 3, rows: 12 });
+    for (let i = 0; i < 10000 && !match.getResult(); i++) {
+        match.applyInput(1, ACTIONS.HARD_DROP);
+        match.step(TICK_DURATION);
+    }
+
+    const result = match.getResult();
+    assert.strictEqual(result.winner, 0);
+    assert.notStrictEqual(result.players[1].endReason, null);
+    assert.strictEqual(result.players[0].endReason, null);
+});
@@ -0,0 +1,115 @@
+// Liquidity Rush versus mode
+// Two engines side by side with the same pieces. Rows one player clears are pushed in from the
+// bottom of the other player's board as garbage rows with a gap, lifting their stack towards
+// EXCESS CASH. Each board keeps its own warning timer; the first player whose game ends loses.
+// Garbage arrives from outside the engine's inputs, so versus games aren't recorded for replays.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'));
+    } else {
+        root.LiquidityVersus = factory(root.LiquidityEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Engine) {
+    'use strict';
+
+    const EVENTS = Engine.EVENTS;
+    const PLAYER_COUNT = 2;
+
+    // Garbage rows sent to the opponent for clearing a number of rows at once
+    function getGarbageRows(rowsCleared) {
+        return rowsCleared;
+    }
+
+    // Create a match between two players
+    // engineOptions: options for both engines (see createEngine), the same seed gives both the same pieces
+    function createVersusMatch(engineOptions = {}) {
+        const options = Object.assign({ seed: 1 }, engineOptions);
+        const engines = [];
+        for (let player = 0; player < PLAYER_COUNT; player++) {
+            engines.push(Engine.createEngine(options));
+        }
+        const garbageSent = engines.map(() => 0);
+        let result = null;
+
+        engines.forEach((engine, player) => {
+            const opponent = (player + 1) % PLAYER_COUNT;
+            engine.on(EVENTS.ROWS_CLEARED, event => {
+                const rows = getGarbageRows(event.count);
+                if (rows > 0 && engines[opponent].addGarbageRows(rows)) {
+                    garbageSent[player] += rows;
+                }
+            });
+        });
+
+        // Who won once a game has ended: a player who met the win conditions wins,
+        // otherwise the player still standing. Games ending on the same step go to the higher score
+        function decideResult(states) {
+            const over = states.map(state => state.gameOver);
+            if (!over.some(Boolean)) return null;
+
+            let winner = null;
+            const wonGame = states.findIndex(state => state.won);
+            if (wonGame !== -1) {
+                winner = wonGame;
+            } else if (over.every(Boolean)) {
+                const [first, second] = states.map(state => state.score.total);
+                winner = first === second ? null : (first > second ? 0 : 1);
+            } else {
+                winner = over.indexOf(false);
+            }
+
+            return {
+                winner: winner, // player index, null for a draw
+                players: states.map((state, player) => ({
+                    endReason: state.gameOver ? state.endReason : null,
+                    score: state.score.total,
+                    time: state.time,
+                    blocksPlaced: state.blocksPlaced,
+                    rowsCleared: state.rowsCleared,
+                    garbageSent: garbageSent[player]
+                }))
+            };
+        }
+
+        // Advance both boards, the match stops as soon as it has a result
+        function step(dt) {
+            if (result !== null) return;
+            engines.forEach(engine => engine.step(dt));
+            result = decideResult(getStates());
+        }
+
+        function setPaused(paused) {
+            engines.forEach(engine => engine.setPaused(paused));
+        }
+
+        // Apply an input to one player's board
+        function applyInput(player, action) {
+            if (result !== null) return false;
+            return engines[player].applyInput(action);
+        }
+
+        // Both boards' engine states, with the garbage each player has sent so far
+        function getStates() {
+            return engines.map((engine, player) => Object.assign(engine.getState(), { garbageSent: garbageSent[player] }));
+        }
+
+        // { winner, players: [...] } once the match is over, null until then
+        function getResult() {
+            return result;
+        }
+
+        return {
+            step: step,
+            setPaused: setPaused,
+            applyInput: applyInput,
+            getStates: getStates,
+            getResult: getResult
+        };
+    }
+
+    return {
+        PLAYER_COUNT: PLAYER_COUNT,
+        getGarbageRows: getGarbageRows,
+        createVersusMatch: createVersusMatch
+    };
+});